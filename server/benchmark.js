@@ -0,0 +1,243 @@
+// Headless load test: runs many rooms full of bots back to back as fast as
+// they go and reports the time a room tick takes and how many rooms one
+// core can keep at the full tick rate.
+// Usage: node benchmark.js [rooms=20] [seconds=10] [map=classic] [--baseline]
+// --baseline puts back the visibility and cover lookups from before the
+// sweep polygon and cover grid, so both can be compared on the same machine.
+const { GameRoom, gameConfig, maps } = require('./server');
+const Simulation = require('./simulation');
+
+const baseline = process.argv.includes('--baseline');
+const args = process.argv.slice(2).filter(arg => arg !== '--baseline');
+const roomCount = parseInt(args[0]) || 20;
+const seconds = parseInt(args[1]) || 10;
+const map = maps.get(args[2] || gameConfig.maps.defaultMap);
+const warmupMs = 1000;
+
+if (!map) {
+    console.error(`Unknown map, available: ${Array.from(maps.keys()).join(', ')}`);
+    process.exit(1);
+}
+
+// Rounds start right away and finished matches restart, so every room keeps playing
+gameConfig.rounds.countdownMs = 0;
+gameConfig.rounds.intermissionMs = 0;
+
+// Bot matches restart all the time and would fill the replay directory
+gameConfig.replays.enabled = false;
+
+// The code the sweep polygon and cover grid replaced: 181 rays per view
+// polygon, each tested against every edge of every cover, and line of sight,
+// movement and shells tested against every cover
+function getLineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+    const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+    if (Math.abs(denom) < 0.0001) return null;
+
+    const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
+    const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+
+    if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+        return {
+            x: x1 + t * (x2 - x1),
+            y: y1 + t * (y2 - y1)
+        };
+    }
+    return null;
+}
+
+function getRayRectIntersection(x1, y1, x2, y2, rect) {
+    const edges = [
+        { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y },
+        { x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height },
+        { x1: rect.x + rect.width, y1: rect.y + rect.height, x2: rect.x, y2: rect.y + rect.height },
+        { x1: rect.x, y1: rect.y + rect.height, x2: rect.x, y2: rect.y }
+    ];
+
+    let closestIntersection = null;
+    let minDistance = Infinity;
+    for (let edge of edges) {
+        const intersection = getLineIntersection(x1, y1, x2, y2, edge.x1, edge.y1, edge.x2, edge.y2);
+        if (intersection) {
+            const distance = Math.sqrt(Math.pow(intersection.x - x1, 2) + Math.pow(intersection.y - y1, 2));
+            if (distance < minDistance) {
+                minDistance = distance;
+                closestIntersection = intersection;
+            }
+        }
+    }
+    return closestIntersection;
+}
+
+function lineIntersectsRect(x1, y1, x2, y2, rect) {
+    const lines = [
+        { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y },
+        { x1: rect.x, y1: rect.y, x2: rect.x, y2: rect.y + rect.height },
+        { x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height },
+        { x1: rect.x, y1: rect.y + rect.height, x2: rect.x + rect.width, y2: rect.y + rect.height }
+    ];
+
+    for (let line of lines) {
+        if (getLineIntersection(x1, y1, x2, y2, line.x1, line.y1, line.x2, line.y2)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+if (baseline) {
+    Object.assign(GameRoom.prototype, {
+        calculateVisiblePoints(x, y, rotation) {
+            const viewDistance = gameConfig.player.viewDistance;
+            const viewAngle = gameConfig.player.viewAngle;
+            const numRays = 180;
+            const visiblePoints = [];
+
+            for (let i = 0; i <= numRays; i++) {
+                const angle = rotation - viewAngle / 2 + (viewAngle * i / numRays);
+                const endX = x + Math.cos(angle) * viewDistance;
+                const endY = y + Math.sin(angle) * viewDistance;
+
+                let closestDistance = viewDistance;
+                let hitPoint = { x: endX, y: endY };
+                for (let cover of this.gameState.covers) {
+                    const intersection = getRayRectIntersection(x, y, endX, endY, cover);
+                    if (intersection) {
+                        const dist = Math.sqrt(Math.pow(intersection.x - x, 2) + Math.pow(intersection.y - y, 2));
+                        if (dist < closestDistance) {
+                            closestDistance = dist;
+                            hitPoint = intersection;
+                        }
+                    }
+                }
+                visiblePoints.push(hitPoint);
+            }
+            return visiblePoints;
+        },
+
+        isPointInVisibleArea(targetX, targetY, viewerX, viewerY, rotation) {
+            const distance = Math.sqrt(Math.pow(targetX - viewerX, 2) + Math.pow(targetY - viewerY, 2));
+            if (distance > gameConfig.player.viewDistance) return false;
+
+            let difference = Math.atan2(targetY - viewerY, targetX - viewerX) - rotation;
+            while (difference > Math.PI) difference -= Math.PI * 2;
+            while (difference < -Math.PI) difference += Math.PI * 2;
+            if (Math.abs(difference) > gameConfig.player.viewAngle / 2) return false;
+
+            return this.hasLineOfSight(viewerX, viewerY, targetX, targetY);
+        },
+
+        hasLineOfSight(x1, y1, x2, y2) {
+            for (let cover of this.gameState.covers) {
+                if (lineIntersectsRect(x1, y1, x2, y2, cover)) {
+                    return false;
+                }
+            }
+            return true;
+        },
+
+        canSee(viewer, target) {
+            const distance = Math.hypot(target.x - viewer.x, target.y - viewer.y);
+            if (distance <= gameConfig.player.proximityRadius) return true;
+
+            const halfSize = gameConfig.player.size / 2;
+            return Simulation.HULL_POINTS.some(([offsetX, offsetY]) => this.isPointInVisibleArea(
+                target.x + offsetX * halfSize,
+                target.y + offsetY * halfSize,
+                viewer.x, viewer.y,
+                viewer.turretRotation
+            ));
+        },
+
+        canSeePoint(viewer, x, y) {
+            if (Math.hypot(x - viewer.x, y - viewer.y) <= gameConfig.player.proximityRadius) return true;
+            return this.isPointInVisibleArea(x, y, viewer.x, viewer.y, viewer.turretRotation);
+        }
+    });
+    Simulation.CoverGrid.prototype.queryRect = function () {
+        return this.covers;
+    };
+}
+
+// Count simulated ticks and the time spent in update() across all rooms
+let ticks = 0;
+let updateNs = 0n;
+const simulateTick = GameRoom.prototype.simulateTick;
+GameRoom.prototype.simulateTick = function (...args) {
+    ticks++;
+    return simulateTick.apply(this, args);
+};
+
+// Stands in for a connected browser so snapshots are built and encoded too
+function createViewerSocket() {
+    return { readyState: 1, send() {}, terminate() {} };
+}
+
+const rooms = [];
+for (let i = 0; i < roomCount; i++) {
+    const viewerId = `viewer-${i}`;
+    const room = new GameRoom(`BENCH${i}`, viewerId, { map: map, mode: 'ffa', maxPlayers: 4 });
+    room.addPlayer(viewerId, createViewerSocket(), 'Zuschauer', { encoding: 'binary' });
+    room.setLoadout(viewerId, { powerups: gameConfig.loadout.powerups, chassis: gameConfig.loadout.defaultChassis });
+    for (let seat = 1; seat < room.settings.maxPlayers; seat++) {
+        room.addBot();
+    }
+    room.startGame();
+    rooms.push({ room, viewerId });
+}
+
+const restartTimer = setInterval(() => {
+    for (let { room, viewerId } of rooms) {
+        if (room.matchEndTime && !room.gameState.started) {
+            room.handleRematchVote(viewerId);
+        }
+    }
+}, 250);
+
+// Instead of their 60 Hz interval the rooms take turns at one tick each, as
+// fast as the machine allows. Timers get their turn in between so rounds and
+// matches still restart.
+const tickDuration = 1 / gameConfig.simulation.tickRate;
+let running = true;
+function runRooms() {
+    if (!running) return;
+
+    for (let { room } of rooms) {
+        // The interval handle stays, the room checks it when a round ends
+        if (room.updateInterval) clearInterval(room.updateInterval);
+        if (!room.roundActive) continue;
+
+        room.tickAccumulator = tickDuration;
+        room.gameState.lastUpdate = Date.now();
+        const start = process.hrtime.bigint();
+        room.update();
+        updateNs += process.hrtime.bigint() - start;
+    }
+    setImmediate(runRooms);
+}
+
+console.log(`Running ${roomCount} rooms on ${map.name} (${map.width}x${map.height}) for ${seconds}s` +
+    `${baseline ? ' with the visibility and cover lookups from before the sweep polygon' : ''}...`);
+runRooms();
+
+setTimeout(() => {
+    ticks = 0;
+    updateNs = 0n;
+    const startTime = process.hrtime.bigint();
+
+    setTimeout(() => {
+        running = false;
+        const elapsedMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+        const updateMs = Number(updateNs) / 1e6;
+        const msPerRoomTick = ticks > 0 ? updateMs / ticks : 0;
+        const budgetMs = 1000 / gameConfig.simulation.tickRate;
+
+        console.log(`Room ticks simulated:      ${ticks} (${(ticks / roomCount / (elapsedMs / 1000)).toFixed(0)} per room and second)`);
+        console.log(`Update time per room tick: ${msPerRoomTick.toFixed(3)} ms (${(msPerRoomTick / budgetMs * 100).toFixed(1)}% of the ${budgetMs.toFixed(1)} ms tick budget)`);
+        if (msPerRoomTick > 0) {
+            console.log(`Rooms one core can keep at full tick rate: ~${Math.floor(budgetMs / msPerRoomTick)}`);
+        }
+
+        clearInterval(restartTimer);
+        process.exit(0);
+    }, seconds * 1000);
+}, warmupMs);
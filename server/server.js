@@ -1,6 +1,11 @@
 const WebSocket = require('ws');
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const Simulation = require('./simulation');
 
 // Server Configuration
 const PORT = process.env.PORT || 8080;
@@ -9,9 +14,20 @@ const wss = new WebSocket.Server({ server });
 
 // Game Configuration
 const gameConfig = {
-    arena: {
-        width: 2000,
-        height: 2000
+    maps: {
+        directory: path.join(__dirname, 'maps'),
+        defaultMap: 'classic',
+        minSize: 400,
+        maxSize: 8000,    // Visible points travel as 16-bit integers
+        defaultTheme: {
+            background: '#1a1a1a',
+            grid: 'rgba(255, 255, 255, 0.03)',
+            cover: '#444444'
+        }
+    },
+    visibility: {
+        arcSegments: 24,         // Rays spread evenly along the edge of the view cone
+        cornerEpsilon: 0.0001    // Radians between the rays that graze each side of a cover corner
     },
     player: {
         size: 30,
@@ -20,27 +36,52 @@ const gameConfig = {
         reloadTime: 1000,
         viewDistance: 400,
         viewAngle: Math.PI / 2, // 90 degrees view cone
+        proximityRadius: 60,    // Tanks this close are sensed in any direction, even behind cover
+        hullTurnRate: Math.PI * 2,      // Radians per second the hull turns towards the driving direction
+        turretTurnRate: Math.PI * 1.5,  // Radians per second the turret traverses towards the aim
+        barrelLength: 30,               // Shells leave the barrel tip this far from the tank's center
         acceleration: 800,
-        friction: 0.9,
-        startPositions: [
-            { x: 1000, y: 1700, rotation: -Math.PI/2 }, // Player 1 starts at bottom, facing up
-            { x: 1000, y: 300, rotation: Math.PI/2 }    // Player 2 starts at top, facing down
-        ]
+        friction: 0.9
+    },
+    room: {
+        minPlayers: 2,
+        maxPlayers: 8,
+        modes: ['ffa', 'teams']
+    },
+    rounds: {
+        bestOf: [1, 3, 5, 7],
+        timeLimits: [0, 60, 120, 180],  // Seconds per round, 0 plays until one side is left
+        countdownMs: 5000,
+        intermissionMs: 4000,           // Pause between rounds
+        suddenDeath: {
+            rules: ['zone', 'health'],
+            zoneShrinkMs: 30000,        // Time the safe zone takes to close completely
+            zoneDamagePerSecond: 10
+        }
     },
     projectile: {
         speed: 600,
         damage: 5,
         size: 5
     },
+    // Every powerup takes cost, usesPerRound and cooldownMs, those with a
+    // lasting effect a duration in ms; behaviour lives in Simulation.POWERUPS.
+    // loadoutCost is what it takes of the loadout budget.
     powerups: {
         laser: { 
             damage: 15, 
             cost: 20,
+            loadoutCost: 25,
+            usesPerRound: 1,
+            cooldownMs: 0,
             instant: true
         },
         explosive: { 
             damage: 20, 
             cost: 20, 
+            loadoutCost: 20,
+            usesPerRound: 1,
+            cooldownMs: 0,
             radius: 100, 
             explosionDelay: 400,
             speed: 450
@@ -48,88 +89,423 @@ const gameConfig = {
         shield: { 
             absorption: 20, 
             cost: 20, 
+            loadoutCost: 15,
+            usesPerRound: 1,
+            cooldownMs: 0,
             duration: 10000 
+        },
+        ricochet: {
+            damage: 10,
+            cost: 20,
+            loadoutCost: 20,
+            usesPerRound: 1,
+            cooldownMs: 0,
+            speed: 550,
+            bounces: 3,          // Reflections off covers and arena walls before the shell breaks
+            speedFactor: 0.8     // Share of its speed a shell keeps per bounce
+        }
+    },
+    pickups: {
+        firstSpawnMs: 5000,    // Pickup spots fill this long after the round starts
+        respawnMs: 20000,      // and again this long after their pickup was taken
+        radius: 15,            // Collected when a tank's hull reaches this close
+        // Map spots may name a type, the others draw one by weight
+        types: {
+            health: { amount: 30, weight: 2 },
+            shield: { amount: 20, weight: 1 },
+            points: { amount: 15, weight: 2 },
+            ammo: { amount: 1, weight: 1 }      // Reloads at once, amount is spent powerup uses given back
+        }
+    },
+    loadout: {
+        powerups: ['laser', 'explosive', 'shield'],   // Default, bound to keys 1-N in this order
+        slots: 3,                                     // Powerups a player takes into the match
+        budget: 60,                                   // Sum of loadoutCost a loadout may reach
+        defaultChassis: 'standard',
+        // Chassis variants trade speed and acceleration for health
+        chassis: {
+            standard: { speed: 1, health: 1 },
+            scout: { speed: 1.2, health: 0.75 },
+            heavy: { speed: 0.8, health: 1.3 }
+        }
+    },
+    simulation: {
+        tickRate: 60,        // Fixed server ticks per second
+        maxCatchUpTicks: 5   // Upper bound of ticks simulated in one update after a stall
+    },
+    session: {
+        reconnectGraceMs: 20000  // How long a dropped player's seat is held during a match
+    },
+    replays: {
+        enabled: true,
+        directory: path.join(__dirname, 'replays'),
+        maxStored: 50,               // The oldest replays are deleted beyond this
+        maxFrames: 60 * 60 * 30      // Recording stops after 30 minutes of play
+    },
+    accounts: {
+        enabled: true,
+        file: path.join(__dirname, 'data', 'accounts.json'),
+        saveDelayMs: 1000,       // Changes are written at most this often
+        minNameLength: 3,
+        maxNameLength: 20,
+        minPasswordLength: 6,
+        maxDeviceTokens: 5,      // Remembered devices per account, the oldest is forgotten
+        historyLimit: 5000,      // Stored matches across all accounts, the oldest are dropped
+        leaderboardSize: 20,
+        rating: {
+            initial: 1000,
+            kFactor: 32          // Largest rating change of a single match
         }
     },
+    matchmaking: {
+        enabled: true,
+        intervalMs: 1000,            // How often the queue is searched for pairs
+        initialWindow: 100,          // Rating difference accepted right away
+        windowGrowthPerSecond: 10,   // The window widens the longer somebody waits
+        maxWindow: 800,
+        readyCheckMs: 15000,         // Time both players have to accept a found match
+        loadoutMs: 30000,            // Then to confirm a loadout, the default one is used after that
+        recentWaits: 20,             // Matches the wait estimate averages over
+        bestOf: 3
+    },
+    spectators: {
+        enabled: true,
+        delayMs: 10000,        // Spectators see the match this far behind, so they cannot help a player
+        sendIntervalMs: 100,   // Released frames go out in batches
+        historyFrames: 1800    // Released frames kept for newcomers, older ones are folded into a keyframe
+    },
+    lagCompensation: {
+        historyTicks: 60,    // Past player positions kept for rewinding (1 second)
+        maxRewindMs: 200     // Default rewind limit, rooms can change it up to the history length
+    },
+    bots: {
+        names: ['Alfa', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf'],
+        defaultDifficulty: 'normal',
+        difficulties: {
+            easy: { reactionMs: 800, aimError: 0.3, seeksCover: false, usesPowerups: false },
+            normal: { reactionMs: 450, aimError: 0.12, seeksCover: true, usesPowerups: true },
+            hard: { reactionMs: 200, aimError: 0.04, seeksCover: true, usesPowerups: true }
+        },
+        thinkIntervalTicks: 6,     // Decisions ten times a second, steering every tick
+        repathMs: 1000,
+        memoryMs: 4000,            // How long a bot hunts an enemy it lost sight of
+        preferredRange: 250,
+        coverSearchRadius: 400,
+        strafeSwitchChance: 0.05,
+        navCellSize: 20,
+        waypointRadius: 12,
+        stuckSpeed: 20,
+        stuckTicks: 30,
+        fireTolerance: 0.05        // Radians the turret may still be off the aim point when firing
+    },
     cover: {
-        layouts: [
-            // Central area
-            { x: 900, y: 900, width: 200, height: 200, id: 'center' },
-            
-            // Corridors
-            { x: 300, y: 400, width: 60, height: 400, id: 'corridor1' },
-            { x: 1640, y: 400, width: 60, height: 400, id: 'corridor2' },
-            { x: 300, y: 1200, width: 60, height: 400, id: 'corridor3' },
-            { x: 1640, y: 1200, width: 60, height: 400, id: 'corridor4' },
-            
-            // Scattered cover
-            { x: 600, y: 600, width: 100, height: 100, id: 'cover1' },
-            { x: 1300, y: 600, width: 100, height: 100, id: 'cover2' },
-            { x: 600, y: 1300, width: 100, height: 100, id: 'cover3' },
-            { x: 1300, y: 1300, width: 100, height: 100, id: 'cover4' },
-            
-            // Side walls
-            { x: 500, y: 200, width: 300, height: 60, id: 'wall1' },
-            { x: 1200, y: 200, width: 300, height: 60, id: 'wall2' },
-            { x: 500, y: 1740, width: 300, height: 60, id: 'wall3' },
-            { x: 1200, y: 1740, width: 300, height: 60, id: 'wall4' },
-            
-            // Maze-like structures
-            { x: 800, y: 500, width: 60, height: 200, id: 'maze1' },
-            { x: 1140, y: 500, width: 60, height: 200, id: 'maze2' },
-            { x: 800, y: 1300, width: 60, height: 200, id: 'maze3' },
-            { x: 1140, y: 1300, width: 60, height: 200, id: 'maze4' }
-        ]
+        // Default durability per material, maps may override it per cover.
+        // Damage multipliers are keyed by projectile type.
+        materials: {
+            concrete: { health: 100, damage: { normal: 1, laser: 1, explosive: 3, ricochet: 1 } },
+            wood: { health: 50, damage: { normal: 1.5, laser: 2, explosive: 5, ricochet: 1.5 } },
+            metal: { health: 200, damage: { normal: 0.5, laser: 1.5, explosive: 2, ricochet: 0.5 } }
+        },
+        gridCellSize: 200,     // Cell size of the spatial index used for collision and sight checks
+        minFragmentSize: 25,   // Destroyed covers only split along sides at least twice this long
+        fragmentHealth: 0.5    // Share of the broken cover's max health each fragment starts with
     }
 };
 
+// Map Loading
+// Maps are JSON files in server/maps, validated once at startup so a broken
+// map stops the server with a readable message instead of failing mid-match.
+const isFiniteNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+function validateMap(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['must be a JSON object'];
+    }
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push('name must be a non-empty string');
+    }
+
+    // Everything else is checked against the arena bounds
+    const { minSize, maxSize } = gameConfig.maps;
+    const sizeErrors = ['width', 'height']
+        .filter(key => !isFiniteNumber(data[key]) || data[key] < minSize || data[key] > maxSize)
+        .map(key => `${key} must be a number between ${minSize} and ${maxSize}`);
+    if (sizeErrors.length > 0) return errors.concat(sizeErrors);
+
+    const insideArena = (x, y, margin = 0) => 
+        x - margin >= 0 && x + margin <= data.width && y - margin >= 0 && y + margin <= data.height;
+
+    if (data.theme !== undefined) {
+        if (!data.theme || typeof data.theme !== 'object') {
+            errors.push('theme must be an object');
+        } else {
+            for (let [key, value] of Object.entries(data.theme)) {
+                if (!(key in gameConfig.maps.defaultTheme)) {
+                    errors.push(`theme.${key} is unknown, expected one of ${Object.keys(gameConfig.maps.defaultTheme).join(', ')}`);
+                } else if (typeof value !== 'string') {
+                    errors.push(`theme.${key} must be a color string`);
+                }
+            }
+        }
+    }
+
+    const covers = Array.isArray(data.covers) ? data.covers : [];
+    if (!Array.isArray(data.covers)) {
+        errors.push('covers must be an array');
+    }
+    const coverIds = new Set();
+    covers.forEach((cover, i) => {
+        const label = `covers[${i}]`;
+        if (typeof cover.id !== 'string' || cover.id === '') {
+            errors.push(`${label}.id must be a non-empty string`);
+        } else if (coverIds.has(cover.id)) {
+            errors.push(`${label}.id "${cover.id}" is used twice`);
+        }
+        coverIds.add(cover.id);
+
+        if (!['x', 'y', 'width', 'height'].every(key => isFiniteNumber(cover[key]))) {
+            errors.push(`${label} needs numeric x, y, width and height`);
+        } else if (cover.width <= 0 || cover.height <= 0) {
+            errors.push(`${label} must have a positive width and height`);
+        } else if (!insideArena(cover.x, cover.y) || !insideArena(cover.x + cover.width, cover.y + cover.height)) {
+            errors.push(`${label} lies outside the ${data.width}x${data.height} arena`);
+        }
+
+        if (cover.material !== undefined && !gameConfig.cover.materials[cover.material]) {
+            errors.push(`${label}.material "${cover.material}" is unknown, expected one of ${Object.keys(gameConfig.cover.materials).join(', ')}`);
+        }
+        if (cover.health !== undefined && (!isFiniteNumber(cover.health) || cover.health <= 0)) {
+            errors.push(`${label}.health must be a positive number`);
+        }
+    });
+
+    if (!Array.isArray(data.spawnPoints) || data.spawnPoints.length < gameConfig.room.minPlayers) {
+        errors.push(`spawnPoints must be an array with at least ${gameConfig.room.minPlayers} entries`);
+    } else {
+        const halfSize = gameConfig.player.size / 2;
+        data.spawnPoints.forEach((spawn, i) => {
+            const label = `spawnPoints[${i}]`;
+            if (!isFiniteNumber(spawn.x) || !isFiniteNumber(spawn.y)) {
+                errors.push(`${label} needs numeric x and y`);
+                return;
+            }
+            if (!insideArena(spawn.x, spawn.y, halfSize)) {
+                errors.push(`${label} is too close to the arena edge`);
+            }
+            if (spawn.rotation !== undefined && !isFiniteNumber(spawn.rotation)) {
+                errors.push(`${label}.rotation must be a number of degrees`);
+            }
+            if (spawn.team !== undefined && spawn.team !== 0 && spawn.team !== 1) {
+                errors.push(`${label}.team must be 0 or 1`);
+            }
+            const blocking = covers.find(cover => 
+                spawn.x + halfSize > cover.x && spawn.x - halfSize < cover.x + cover.width &&
+                spawn.y + halfSize > cover.y && spawn.y - halfSize < cover.y + cover.height
+            );
+            if (blocking) {
+                errors.push(`${label} overlaps cover "${blocking.id}"`);
+            }
+        });
+
+        const teams = new Set(data.spawnPoints.map(spawn => getSpawnTeam(spawn, data.height)));
+        if (teams.size < 2) {
+            errors.push('spawnPoints need at least one spawn for each team');
+        }
+    }
+
+    if (data.pickupSpawns !== undefined) {
+        if (!Array.isArray(data.pickupSpawns)) {
+            errors.push('pickupSpawns must be an array');
+        } else {
+            data.pickupSpawns.forEach((pickup, i) => {
+                if (!isFiniteNumber(pickup.x) || !isFiniteNumber(pickup.y) || !insideArena(pickup.x, pickup.y)) {
+                    errors.push(`pickupSpawns[${i}] needs numeric x and y inside the arena`);
+                }
+                if (pickup.type !== undefined && !Object.prototype.hasOwnProperty.call(gameConfig.pickups.types, pickup.type)) {
+                    errors.push(`pickupSpawns[${i}] has unknown type "${pickup.type}"`);
+                }
+            });
+        }
+    }
+
+    return errors;
+}
+
+// Spawns without a team belong to the half they are in
+function getSpawnTeam(spawn, height) {
+    if (spawn.team !== undefined) return spawn.team;
+    return spawn.y >= height / 2 ? 0 : 1;
+}
+
+function normalizeMap(id, data) {
+    return {
+        id: id,
+        name: data.name,
+        width: data.width,
+        height: data.height,
+        theme: { ...gameConfig.maps.defaultTheme, ...data.theme },
+        covers: data.covers.map(cover => {
+            const material = cover.material || 'concrete';
+            const health = cover.health || gameConfig.cover.materials[material].health;
+            return {
+                id: cover.id,
+                x: cover.x,
+                y: cover.y,
+                width: cover.width,
+                height: cover.height,
+                material: material,
+                health: health,
+                maxHealth: health
+            };
+        }),
+        spawnPoints: data.spawnPoints.map(spawn => ({
+            x: spawn.x,
+            y: spawn.y,
+            team: getSpawnTeam(spawn, data.height),
+            // Degrees in the file, facing the arena center when omitted
+            rotation: spawn.rotation !== undefined ? 
+                spawn.rotation * Math.PI / 180 : 
+                Math.atan2(data.height / 2 - spawn.y, data.width / 2 - spawn.x)
+        })),
+        pickupSpawns: (data.pickupSpawns || []).map(pickup => ({
+            x: pickup.x,
+            y: pickup.y,
+            type: pickup.type || null
+        }))
+    };
+}
+
+function loadMaps(directory) {
+    const loaded = new Map();
+    const files = fs.readdirSync(directory).filter(file => file.endsWith('.json')).sort();
+
+    for (let file of files) {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+            throw new Error(`Map ${file} is not valid JSON: ${error.message}`);
+        }
+
+        const errors = validateMap(data);
+        if (errors.length > 0) {
+            throw new Error(`Map ${file} is invalid:\n  - ${errors.join('\n  - ')}`);
+        }
+
+        const id = path.basename(file, '.json');
+        loaded.set(id, normalizeMap(id, data));
+    }
+
+    if (loaded.size === 0) {
+        throw new Error(`No maps found in ${directory}`);
+    }
+    return loaded;
+}
+
+const maps = loadMaps(gameConfig.maps.directory);
+
 // Game Statistics Tracking
+// Every record goes into the match totals and into the running round,
+// finished rounds are kept so the after-game screen can show both.
 class GameStatistics {
     constructor() {
         this.players = new Map();
+        this.round = new Map();
+        this.rounds = [];
+        this.loadouts = new Map();
     }
 
-    initPlayer(playerId) {
-        this.players.set(playerId, {
+    createEntry() {
+        return {
             totalDamageDealt: 0,
             totalDamageTaken: 0,
             shotsHit: 0,
             shotsFired: 0,
             powerupsUsed: 0,
+            pickupsCollected: 0,
             distanceTraveled: 0,
-            timeAlive: Date.now(),
+            timeAlive: 0,
+            aliveSince: null,
             kills: 0,
             deaths: 0,
             lastPosition: null
+        };
+    }
+
+    initPlayer(playerId) {
+        this.players.set(playerId, this.createEntry());
+        this.round.set(playerId, this.createEntry());
+    }
+
+    getEntries(playerId) {
+        return [this.players.get(playerId), this.round.get(playerId)].filter(Boolean);
+    }
+
+    startRound() {
+        const now = Date.now();
+        for (let playerId of this.players.keys()) {
+            const roundStats = this.createEntry();
+            roundStats.aliveSince = now;
+            this.round.set(playerId, roundStats);
+            const stats = this.players.get(playerId);
+            stats.aliveSince = now;
+            stats.lastPosition = null;
+        }
+    }
+
+    endRound(summary) {
+        // Survivors were alive until the end of the round
+        for (let playerId of this.players.keys()) {
+            this.stopClock(playerId);
+        }
+        this.rounds.push({
+            ...summary,
+            players: this.summarize(this.round)
+        });
+    }
+
+    stopClock(playerId) {
+        const now = Date.now();
+        this.getEntries(playerId).forEach(stats => {
+            if (stats.aliveSince !== null) {
+                stats.timeAlive += now - stats.aliveSince;
+                stats.aliveSince = null;
+            }
         });
     }
 
     recordShot(playerId) {
-        const stats = this.players.get(playerId);
-        if (stats) stats.shotsFired++;
+        this.getEntries(playerId).forEach(stats => stats.shotsFired++);
     }
 
     recordHit(playerId, damage) {
-        const stats = this.players.get(playerId);
-        if (stats) {
+        this.getEntries(playerId).forEach(stats => {
             stats.shotsHit++;
             stats.totalDamageDealt += damage;
-        }
+        });
     }
 
     recordDamageTaken(playerId, damage) {
-        const stats = this.players.get(playerId);
-        if (stats) stats.totalDamageTaken += damage;
+        this.getEntries(playerId).forEach(stats => stats.totalDamageTaken += damage);
+    }
+
+    // Loadouts are fixed for the match, so they sit next to the totals
+    recordLoadout(playerId, loadout) {
+        this.loadouts.set(playerId, loadout);
     }
 
     recordPowerupUse(playerId) {
-        const stats = this.players.get(playerId);
-        if (stats) stats.powerupsUsed++;
+        this.getEntries(playerId).forEach(stats => stats.powerupsUsed++);
+    }
+
+    recordPickup(playerId) {
+        this.getEntries(playerId).forEach(stats => stats.pickupsCollected++);
     }
 
     recordMovement(playerId, x, y) {
-        const stats = this.players.get(playerId);
-        if (stats) {
+        this.getEntries(playerId).forEach(stats => {
             if (stats.lastPosition) {
                 const distance = Math.sqrt(
                     Math.pow(x - stats.lastPosition.x, 2) + 
@@ -138,695 +514,2249 @@ class GameStatistics {
                 stats.distanceTraveled += distance;
             }
             stats.lastPosition = { x, y };
-        }
+        });
     }
 
     recordKill(playerId) {
-        const stats = this.players.get(playerId);
-        if (stats) stats.kills++;
+        this.getEntries(playerId).forEach(stats => stats.kills++);
     }
 
     recordDeath(playerId) {
-        const stats = this.players.get(playerId);
-        if (stats) {
-            stats.deaths++;
-            stats.timeAlive = Date.now() - stats.timeAlive;
-        }
+        this.getEntries(playerId).forEach(stats => stats.deaths++);
+        this.stopClock(playerId);
     }
 
-    getStats() {
+    summarize(players) {
         const result = {};
-        for (let [id, stats] of this.players) {
+        for (let [id, stats] of players) {
+            const { aliveSince, lastPosition, ...values } = stats;
             result[id] = {
-                ...stats,
+                ...values,
                 accuracy: stats.shotsFired > 0 ? 
                     Math.round((stats.shotsHit / stats.shotsFired) * 100) : 0
             };
         }
         return result;
     }
+
+    getStats() {
+        const result = this.summarize(this.players);
+        for (let [id, loadout] of this.loadouts) {
+            if (result[id]) result[id].loadout = loadout;
+        }
+        return result;
+    }
+
+    getRoundStats() {
+        return this.rounds;
+    }
+}
+
+// State Protocol
+// Snapshots are sent as deltas against the last snapshot a client
+// acknowledged. Clients negotiate binary (default) or JSON for debugging
+// in the 'hello' handshake; both carry the same delta structure.
+const PROTOCOL_VERSION = 3;
+const SNAPSHOT_HISTORY_SIZE = 64;
+const BINARY_MESSAGE_SNAPSHOT = 1;
+
+// Order matters, a field's bit in the binary mask is its index
+const PLAYER_FIELDS = [
+    { name: 'visible', type: 'bool' },
+    { name: 'x', type: 'f32' },
+    { name: 'y', type: 'f32' },
+    { name: 'hullRotation', type: 'f32' },
+    { name: 'turretRotation', type: 'f32' },
+    { name: 'health', type: 'i16' },
+    { name: 'shield', type: 'i16' },
+    { name: 'reloading', type: 'bool' },
+    { name: 'reloadProgress', type: 'unorm8' },
+    { name: 'vx', type: 'f32' },
+    { name: 'vy', type: 'f32' },
+    { name: 'points', type: 'i32' },
+    { name: 'lockedPowerups', type: 'u8' },
+    { name: 'lastInputSeq', type: 'u32' },
+    { name: 'lastInputTicks', type: 'u32' }
+];
+
+const PROJECTILE_TYPES = [null, 'laser', 'explosive', 'ricochet'];
+
+function diffSnapshot(base, snapshot) {
+    const delta = {
+        tick: snapshot.tick,
+        baseTick: base ? base.tick : 0,
+        serverTime: snapshot.serverTime,
+        players: [],
+        projectiles: [],
+        removedProjectiles: [],
+        explosions: snapshot.explosions,
+        visiblePoints: null
+    };
+
+    for (let [index, player] of Object.entries(snapshot.players)) {
+        const previous = base && base.players[index];
+        const fields = {};
+        let changed = false;
+        for (let field of PLAYER_FIELDS) {
+            const value = player[field.name];
+            if (value === undefined) continue;
+            if (!previous || previous[field.name] !== value) {
+                fields[field.name] = value;
+                changed = true;
+            }
+        }
+        if (changed) {
+            delta.players.push({ index: Number(index), fields });
+        }
+    }
+
+    // Projectiles fly in straight lines, so they only need to be sent when
+    // they appear or change course; clients derive positions from the origin
+    for (let [id, projectile] of Object.entries(snapshot.projectiles)) {
+        const previous = base && base.projectiles[id];
+        if (!previous || previous.tick !== projectile.tick || 
+            previous.vx !== projectile.vx || previous.vy !== projectile.vy) {
+            delta.projectiles.push(projectile);
+        }
+    }
+    if (base) {
+        for (let id of Object.keys(base.projectiles)) {
+            if (!snapshot.projectiles[id]) {
+                delta.removedProjectiles.push(Number(id));
+            }
+        }
+    }
+
+    const previousPoints = base && base.visiblePoints;
+    if (!previousPoints || previousPoints.length !== snapshot.visiblePoints.length ||
+        snapshot.visiblePoints.some((point, i) => 
+            point.x !== previousPoints[i].x || point.y !== previousPoints[i].y)) {
+        delta.visiblePoints = snapshot.visiblePoints;
+    }
+
+    return delta;
+}
+
+class BinaryWriter {
+    constructor(size = 1024) {
+        this.buffer = Buffer.alloc(size);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.length) return;
+        const grown = Buffer.alloc(Math.max(this.buffer.length * 2, this.offset + bytes));
+        this.buffer.copy(grown, 0, 0, this.offset);
+        this.buffer = grown;
+    }
+
+    u8(value) { this.ensure(1); this.buffer.writeUInt8(value, this.offset); this.offset += 1; }
+    u16(value) { this.ensure(2); this.buffer.writeUInt16LE(value, this.offset); this.offset += 2; }
+    i16(value) { this.ensure(2); this.buffer.writeInt16LE(value, this.offset); this.offset += 2; }
+    u32(value) { this.ensure(4); this.buffer.writeUInt32LE(value, this.offset); this.offset += 4; }
+    i32(value) { this.ensure(4); this.buffer.writeInt32LE(value, this.offset); this.offset += 4; }
+    f32(value) { this.ensure(4); this.buffer.writeFloatLE(value, this.offset); this.offset += 4; }
+    f64(value) { this.ensure(8); this.buffer.writeDoubleLE(value, this.offset); this.offset += 8; }
+
+    finish() {
+        return this.buffer.subarray(0, this.offset);
+    }
+}
+
+// Buffer throws on values outside the field's range, which would end the
+// tick loop, so integers are clamped and 32-bit counters wrap around
+function clampInt(value, min, max) {
+    return Math.max(min, Math.min(max, Math.round(value) || 0));
+}
+
+function writeField(writer, type, value) {
+    switch(type) {
+        case 'bool': writer.u8(value ? 1 : 0); break;
+        case 'unorm8': writer.u8(clampInt(value * 255, 0, 0xFF)); break;
+        case 'u8': writer.u8(clampInt(value, 0, 0xFF)); break;
+        case 'i16': writer.i16(clampInt(value, -0x8000, 0x7FFF)); break;
+        case 'u16': writer.u16(clampInt(value, 0, 0xFFFF)); break;
+        case 'i32': writer.i32(clampInt(value, -0x80000000, 0x7FFFFFFF)); break;
+        case 'u32': writer.u32((Math.round(value) || 0) >>> 0); break;
+        case 'f32': writer.f32(value); break;
+    }
+}
+
+function encodeSnapshotBinary(delta) {
+    const writer = new BinaryWriter();
+    writer.u8(BINARY_MESSAGE_SNAPSHOT);
+    writer.u32(delta.tick);
+    writer.u32(delta.baseTick);
+    writer.f64(delta.serverTime);
+
+    writer.u8(delta.players.length);
+    for (let player of delta.players) {
+        writer.u8(player.index);
+        let mask = 0;
+        PLAYER_FIELDS.forEach((field, bit) => {
+            if (player.fields[field.name] !== undefined) mask |= 1 << bit;
+        });
+        writer.u16(mask);
+        for (let field of PLAYER_FIELDS) {
+            const value = player.fields[field.name];
+            if (value !== undefined) writeField(writer, field.type, value);
+        }
+    }
+
+    writer.u16(delta.projectiles.length);
+    for (let projectile of delta.projectiles) {
+        writer.u32(projectile.id);
+        writer.u8(Math.max(0, PROJECTILE_TYPES.indexOf(projectile.type)));
+        writer.u32(projectile.tick);
+        writer.f32(projectile.x);
+        writer.f32(projectile.y);
+        writer.f32(projectile.vx);
+        writer.f32(projectile.vy);
+    }
+
+    writer.u16(delta.removedProjectiles.length);
+    for (let id of delta.removedProjectiles) {
+        writer.u32(id);
+    }
+
+    writer.u8(delta.explosions.length);
+    for (let explosion of delta.explosions) {
+        writer.f32(explosion.x);
+        writer.f32(explosion.y);
+        writer.f32(explosion.radius);
+    }
+
+    // 0xFFFF marks the view cone as unchanged
+    if (delta.visiblePoints) {
+        writer.u16(delta.visiblePoints.length);
+        for (let point of delta.visiblePoints) {
+            writer.i16(point.x);
+            writer.i16(point.y);
+        }
+    } else {
+        writer.u16(0xFFFF);
+    }
+
+    return writer.finish();
+}
+
+// Match Replays
+// A recorder follows one match and keeps every tick's un-fogged state,
+// everything the room broadcast and every input message players sent.
+// Frames are arrays to keep the file small:
+//   [tick, ms since start, players, projectiles, events?]
+//   player:     [playerIndex, x, y, hullRotation, turretRotation, health, shield, alive,
+//                points, powerups used this round]
+//   projectile: [id, type index in PROJECTILE_TYPES, x, y]
+// Finished matches are saved gzipped, index.json lists them newest first.
+const REPLAY_VERSION = 2;
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Header of a replay file or spectator stream
+function describeMatch(room, startedAt) {
+    return {
+        version: REPLAY_VERSION,
+        recordedAt: new Date(startedAt).toISOString(),
+        tickRate: gameConfig.simulation.tickRate,
+        seed: room.seed,
+        map: { ...room.describeMap(), covers: room.map.covers },
+        mode: room.settings.mode,
+        bestOf: room.settings.bestOf,
+        players: Array.from(room.players.values()).map(player => ({
+            playerIndex: player.playerIndex,
+            id: player.id,
+            name: player.name,
+            team: player.team,
+            isBot: player.isBot,
+            chassis: player.chassis,
+            maxHealth: Math.round(gameConfig.player.maxHealth * room.getChassis(player).health),
+            loadout: player.loadout.slice()
+        }))
+    };
+}
+
+// Tanks and shells of the current tick, the caller appends the events
+function captureFrame(room, now, startedAt) {
+    return [
+        room.gameState.tick,
+        now - startedAt,
+        Array.from(room.players.values()).map(player => [
+            player.playerIndex,
+            roundTo(player.x, 1),
+            roundTo(player.y, 1),
+            roundTo(player.hullRotation, 2),
+            roundTo(player.turretRotation, 2),
+            Math.ceil(player.health),
+            Math.ceil(player.shield),
+            player.alive ? 1 : 0,
+            player.points,
+            player.powerups ? Array.from(player.powerups.values()).reduce((sum, state) => sum + state.uses, 0) : 0
+        ]),
+        room.gameState.projectiles.map(proj => [
+            proj.id,
+            PROJECTILE_TYPES.indexOf(proj.type),
+            roundTo(proj.x, 1),
+            roundTo(proj.y, 1)
+        ])
+    ];
+}
+
+class MatchRecorder {
+    constructor(room) {
+        this.startedAt = room.matchStartTime;
+        this.id = `${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}-${room.code}`;
+        this.header = { ...describeMatch(room, this.startedAt), id: this.id };
+        this.frames = [];
+        this.events = [];
+        this.truncated = false;
+    }
+
+    // Copied, the room keeps changing some of the objects it sends
+    recordEvent(event) {
+        this.events.push(JSON.parse(JSON.stringify(event)));
+    }
+
+    recordInput(player, message) {
+        this.recordEvent({ type: 'input', playerIndex: player.playerIndex, message: message });
+    }
+
+    recordTick(frame) {
+        if (this.frames.length >= gameConfig.replays.maxFrames) {
+            this.truncated = true;
+            this.events = [];
+            return;
+        }
+
+        if (this.events.length > 0) {
+            frame.push(this.events);
+            this.events = [];
+        }
+        this.frames.push(frame);
+    }
+
+    finish(result) {
+        // Whatever happened after the last tick, like the gameOver message
+        const last = this.frames[this.frames.length - 1];
+        if (last && this.events.length > 0) {
+            last[4] = (last[4] || []).concat(this.events);
+        }
+        this.events = [];
+
+        return {
+            ...this.header,
+            ...result,
+            duration: Date.now() - this.startedAt,
+            truncated: this.truncated,
+            frames: this.frames
+        };
+    }
+}
+
+function loadReplayIndex() {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(gameConfig.replays.directory, 'index.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Replay index unreadable, starting a new one:', error.message);
+        }
+        return [];
+    }
+}
+
+const replayIndex = loadReplayIndex();
+
+function saveReplay(replay) {
+    const directory = gameConfig.replays.directory;
+    const summary = {
+        id: replay.id,
+        recordedAt: replay.recordedAt,
+        map: replay.map.name,
+        mode: replay.mode,
+        players: replay.players.map(player => player.name),
+        winner: replay.winnerName,
+        duration: replay.duration
+    };
+
+    zlib.gzip(JSON.stringify(replay), (error, data) => {
+        if (error) return console.error(`Failed to compress replay ${replay.id}:`, error);
+
+        fs.mkdir(directory, { recursive: true }, error => {
+            if (error) return console.error('Failed to create replay directory:', error);
+
+            fs.writeFile(path.join(directory, `${replay.id}.json.gz`), data, error => {
+                if (error) return console.error(`Failed to save replay ${replay.id}:`, error);
+
+                replayIndex.unshift({ ...summary, size: data.length });
+                replayIndex.splice(gameConfig.replays.maxStored).forEach(old => {
+                    fs.unlink(path.join(directory, `${old.id}.json.gz`), () => {});
+                });
+                fs.writeFile(path.join(directory, 'index.json'), JSON.stringify(replayIndex), error => {
+                    if (error) console.error('Failed to write replay index:', error);
+                });
+                console.log(`Replay saved: ${replay.id} (${Math.round(data.length / 1024)} KB)`);
+            });
+        });
+    });
+}
+
+// Player Accounts
+// Lightweight accounts keep a name, an Elo rating and the match history
+// across connections. Everything lives in one JSON file that is loaded at
+// startup and rewritten shortly after each change. Players log in with the
+// account password or with a device token the browser got at its last login;
+// only hashes of both are stored.
+const ACCOUNT_NAME_PATTERN = /^[\p{L}\p{N} _-]+$/u;
+const MATCH_SCORES = { win: 1, draw: 0.5, loss: 0 };
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class AccountStore {
+    constructor(file) {
+        this.file = file;
+        this.accounts = new Map();      // id -> account
+        this.names = new Map();         // Lower-case name -> id
+        this.deviceTokens = new Map();  // Token hash -> id
+        this.matches = [];              // Oldest first
+        this.saveTimer = null;
+        this.load();
+    }
+
+    load() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Account file unreadable, starting a new one:', error.message);
+            }
+            return;
+        }
+
+        (data.accounts || []).forEach(account => {
+            this.accounts.set(account.id, account);
+            this.names.set(account.name.toLowerCase(), account.id);
+            account.deviceTokens.forEach(device => this.deviceTokens.set(device.hash, account.id));
+        });
+        this.matches = data.matches || [];
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, gameConfig.accounts.saveDelayMs);
+    }
+
+    // Written next to the file and renamed over it, a crash never leaves half a file
+    save() {
+        const data = JSON.stringify({
+            accounts: Array.from(this.accounts.values()),
+            matches: this.matches
+        });
+        const temporary = `${this.file}.tmp`;
+        fs.mkdir(path.dirname(this.file), { recursive: true }, error => {
+            if (error) return console.error('Failed to create account directory:', error);
+
+            fs.writeFile(temporary, data, error => {
+                if (error) return console.error('Failed to write accounts:', error);
+                fs.rename(temporary, this.file, error => {
+                    if (error) console.error('Failed to replace account file:', error);
+                });
+            });
+        });
+    }
+
+    validateName(name) {
+        const { minNameLength, maxNameLength } = gameConfig.accounts;
+        if (name.length < minNameLength || name.length > maxNameLength) {
+            return `Name muss ${minNameLength} bis ${maxNameLength} Zeichen lang sein`;
+        }
+        if (!ACCOUNT_NAME_PATTERN.test(name)) {
+            return 'Name darf nur Buchstaben, Ziffern, Leerzeichen, - und _ enthalten';
+        }
+        return null;
+    }
+
+    // Calls back with a German error message or the new account
+    register(name, password, callback) {
+        name = String(name || '').trim();
+        password = String(password || '');
+        const nameError = this.validateName(name);
+        if (nameError) return callback(nameError);
+        if (password.length < gameConfig.accounts.minPasswordLength) {
+            return callback(`Passwort muss mindestens ${gameConfig.accounts.minPasswordLength} Zeichen lang sein`);
+        }
+        if (this.names.has(name.toLowerCase())) return callback('Name ist bereits vergeben');
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        crypto.scrypt(password, salt, 64, (error, key) => {
+            if (error) {
+                console.error('Failed to hash password:', error);
+                return callback('Konto konnte nicht angelegt werden');
+            }
+            // Somebody else may have taken the name while hashing
+            if (this.names.has(name.toLowerCase())) return callback('Name ist bereits vergeben');
+
+            const account = {
+                id: uuidv4(),
+                name: name,
+                salt: salt,
+                passwordHash: key.toString('hex'),
+                deviceTokens: [],
+                rating: gameConfig.accounts.rating.initial,
+                matches: 0,
+                ratedMatches: 0,
+                wins: 0,
+                losses: 0,
+                draws: 0,
+                createdAt: new Date().toISOString()
+            };
+            this.accounts.set(account.id, account);
+            this.names.set(name.toLowerCase(), account.id);
+            this.scheduleSave();
+            callback(null, account);
+        });
+    }
+
+    login(name, password, callback) {
+        const account = this.accounts.get(this.names.get(String(name || '').trim().toLowerCase()));
+        if (!account) return callback('Name oder Passwort falsch');
+
+        crypto.scrypt(String(password || ''), account.salt, 64, (error, key) => {
+            if (error || !crypto.timingSafeEqual(key, Buffer.from(account.passwordHash, 'hex'))) {
+                return callback('Name oder Passwort falsch');
+            }
+            callback(null, account);
+        });
+    }
+
+    loginWithToken(token) {
+        return this.accounts.get(this.deviceTokens.get(hashToken(String(token || '')))) || null;
+    }
+
+    issueDeviceToken(account) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const hash = hashToken(token);
+        account.deviceTokens.push({ hash: hash, createdAt: new Date().toISOString() });
+        this.deviceTokens.set(hash, account.id);
+        account.deviceTokens.splice(0, account.deviceTokens.length - gameConfig.accounts.maxDeviceTokens)
+            .forEach(old => this.deviceTokens.delete(old.hash));
+        this.scheduleSave();
+        return token;
+    }
+
+    revokeDeviceToken(token) {
+        const hash = hashToken(String(token || ''));
+        const account = this.accounts.get(this.deviceTokens.get(hash));
+        if (!account) return;
+        account.deviceTokens = account.deviceTokens.filter(device => device.hash !== hash);
+        this.deviceTokens.delete(hash);
+        this.scheduleSave();
+    }
+
+    // What anybody may see about an account
+    getProfile(account) {
+        return {
+            id: account.id,
+            name: account.name,
+            rating: account.rating,
+            matches: account.matches,
+            ratedMatches: account.ratedMatches,
+            wins: account.wins,
+            losses: account.losses,
+            draws: account.draws,
+            createdAt: account.createdAt
+        };
+    }
+
+    getHistory(accountId, limit) {
+        const history = [];
+        for (let i = this.matches.length - 1; i >= 0 && history.length < limit; i--) {
+            if (this.matches[i].players.some(player => player.accountId === accountId)) {
+                history.push(this.matches[i]);
+            }
+        }
+        return history;
+    }
+
+    // Only accounts that played somebody rated show up
+    getLeaderboard() {
+        return Array.from(this.accounts.values())
+            .filter(account => account.ratedMatches > 0)
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, gameConfig.accounts.leaderboardSize)
+            .map(account => this.getProfile(account));
+    }
+
+    // Elo between every pair of accounts on different sides, each player's
+    // change is averaged over its pairings. Bots and guests are not rated,
+    // so a match against them only goes into the history, and neither is
+    // an account against itself.
+    recordMatch(match) {
+        const { kFactor } = gameConfig.accounts.rating;
+        const players = match.players.filter(player => this.accounts.has(player.accountId));
+        const isOpponent = (player, other) => other.side !== player.side && other.accountId !== player.accountId;
+        const changes = players.map(player => {
+            const rating = this.accounts.get(player.accountId).rating;
+            const opponents = players.filter(other => isOpponent(player, other));
+            if (opponents.length === 0) return 0;
+
+            const total = opponents.reduce((sum, other) => {
+                const expected = 1 / (1 + 10 ** ((this.accounts.get(other.accountId).rating - rating) / 400));
+                const actual = (MATCH_SCORES[player.result] - MATCH_SCORES[other.result] + 1) / 2;
+                return sum + actual - expected;
+            }, 0);
+            return Math.round(kFactor * total / opponents.length);
+        });
+
+        const ratings = {};
+        players.forEach((player, index) => {
+            const account = this.accounts.get(player.accountId);
+            const rated = players.some(other => isOpponent(player, other));
+            player.ratingBefore = account.rating;
+            account.rating += changes[index];
+            player.ratingAfter = account.rating;
+            account.matches++;
+            if (rated) account.ratedMatches++;
+            account[{ win: 'wins', loss: 'losses', draw: 'draws' }[player.result]]++;
+            ratings[player.playerId] = { before: player.ratingBefore, after: player.ratingAfter, rated: rated };
+        });
+
+        this.matches.push({
+            ...match,
+            players: match.players.map(({ side, ...player }) => player)
+        });
+        this.matches.splice(0, this.matches.length - gameConfig.accounts.historyLimit);
+        this.scheduleSave();
+        return ratings;
+    }
+}
+
+const accountStore = gameConfig.accounts.enabled ? new AccountStore(gameConfig.accounts.file) : null;
+
+// Spectators
+// Any number of read-only viewers can follow a running match. They get the
+// un-fogged frames of the replay format, held back by spectators.delayMs so
+// nobody can call out positions to a player. Frames wait in a queue until
+// they are old enough; released frames of the current round are kept so a
+// late spectator can rebuild covers and pickups up to the delayed present.
+class SpectatorFeed {
+    constructor(room) {
+        this.room = room;
+        this.spectators = new Map();
+        this.queue = [];       // { releaseAt, header } or { releaseAt, frame }, oldest first
+        this.header = null;    // Match the released frames belong to
+        this.history = [];     // Latest released frames of the round
+        this.keyframe = null;  // Covers, pickups and zone before the oldest kept frame, once frames were dropped
+        this.outgoing = [];
+        this.events = [];
+        this.startedAt = null;
+        this.timer = null;
+    }
+
+    startMatch(now) {
+        this.startedAt = now;
+        this.events = [];
+        this.queue.push({ releaseAt: now + gameConfig.spectators.delayMs, header: describeMatch(this.room, now) });
+    }
+
+    // Copied, the room keeps changing some of the objects it sends
+    recordEvent(event) {
+        if (this.startedAt !== null) this.events.push(JSON.parse(JSON.stringify(event)));
+    }
+
+    recordTick(frame, now) {
+        if (this.events.length > 0) {
+            frame.push(this.events);
+            this.events = [];
+        }
+        this.queue.push({ releaseAt: now + gameConfig.spectators.delayMs, frame: frame });
+        this.release(now);
+    }
+
+    // Messages sent after the last tick of a round, like roundOver, get a frame of their own
+    flush(now) {
+        if (this.events.length > 0) {
+            this.recordTick(captureFrame(this.room, now, this.startedAt), now);
+        }
+    }
+
+    release(now) {
+        while (this.queue.length > 0 && this.queue[0].releaseAt <= now) {
+            const item = this.queue.shift();
+            if (item.header) {
+                this.sendFrames();
+                this.header = item.header;
+                this.history = [];
+                this.keyframe = null;
+                this.spectators.forEach(spectator => this.sendStart(spectator));
+                continue;
+            }
+
+            if ((item.frame[4] || []).some(event => event.type === 'roundStart')) {
+                this.history = [];
+                this.keyframe = null;
+            }
+            this.history.push(item.frame);
+            if (this.history.length > gameConfig.spectators.historyFrames) {
+                this.dropOldestFrame();
+            }
+            if (this.spectators.size > 0) this.outgoing.push(item.frame);
+        }
+    }
+
+    // Rounds without a time limit would grow the history forever, so the
+    // oldest frame only leaves behind what it changed about the arena
+    dropOldestFrame() {
+        const frame = this.history.shift();
+        if (!this.keyframe) {
+            this.keyframe = { round: null, covers: [], pickups: new Map(), suddenDeath: null };
+        }
+        const keyframe = this.keyframe;
+
+        for (let event of frame[4] || []) {
+            switch (event.type) {
+                case 'roundStart':
+                    keyframe.round = event.round;
+                    keyframe.covers = event.covers;
+                    keyframe.pickups.clear();
+                    keyframe.suddenDeath = null;
+                    break;
+                case 'coversChanged':
+                    keyframe.covers = keyframe.covers
+                        .concat(event.fragments)
+                        .filter(cover => !event.destroyed.includes(cover.id))
+                        .map(cover => {
+                            const change = event.damaged.find(damaged => damaged.id === cover.id);
+                            return change ? { ...cover, health: change.health } : cover;
+                        });
+                    break;
+                case 'pickupSpawned':
+                    keyframe.pickups.set(event.pickup.id, event.pickup);
+                    break;
+                case 'pickupCollected':
+                    keyframe.pickups.delete(event.id);
+                    break;
+                case 'suddenDeath':
+                    keyframe.suddenDeath = event.suddenDeath;
+                    break;
+            }
+        }
+    }
+
+    // The kept frames, the first one rebuilding the arena from the keyframe
+    getHistory() {
+        if (!this.keyframe || this.history.length === 0) return this.history;
+
+        const keyframe = this.keyframe;
+        const [tick, time, players, projectiles, events] = this.history[0];
+        const restored = [{ type: 'roundStart', round: keyframe.round, covers: keyframe.covers }]
+            .concat(Array.from(keyframe.pickups.values()).map(pickup => ({ type: 'pickupSpawned', pickup: pickup })))
+            .concat(keyframe.suddenDeath ? [{ type: 'suddenDeath', suddenDeath: keyframe.suddenDeath }] : []);
+        return [[tick, time, players, projectiles, restored.concat(events || [])]].concat(this.history.slice(1));
+    }
+
+    sendFrames() {
+        if (this.outgoing.length === 0) return;
+        this.sendAll({ type: 'spectatorFrames', frames: this.outgoing });
+        this.outgoing = [];
+    }
+
+    sendStart(spectator) {
+        this.send(spectator, {
+            type: 'spectateStart',
+            match: { ...this.header, frames: this.getHistory() }
+        });
+    }
+
+    send(spectator, data) {
+        if (spectator.ws.readyState === WebSocket.OPEN) {
+            spectator.ws.send(JSON.stringify(data));
+        }
+    }
+
+    sendAll(data) {
+        const message = JSON.stringify(data);
+        for (let [id, spectator] of this.spectators) {
+            if (spectator.ws.readyState !== WebSocket.OPEN) continue;
+            try {
+                spectator.ws.send(message);
+            } catch (error) {
+                console.error(`Failed to send to spectator ${id}:`, error);
+            }
+        }
+    }
+
+    addSpectator(id, ws) {
+        // The others get what is due first, the newcomer finds it in the history
+        this.release(Date.now());
+        this.sendFrames();
+
+        const spectator = { id, ws };
+        this.spectators.set(id, spectator);
+        this.send(spectator, {
+            type: 'spectating',
+            lobbyCode: this.room.code,
+            delayMs: gameConfig.spectators.delayMs,
+            startsIn: this.header ? 0 : Math.max(0, this.queue[0].releaseAt - Date.now())
+        });
+        if (this.header) this.sendStart(spectator);
+
+        if (!this.timer) {
+            this.timer = setInterval(() => {
+                this.release(Date.now());
+                this.sendFrames();
+            }, gameConfig.spectators.sendIntervalMs);
+        }
+    }
+
+    removeSpectator(id) {
+        this.spectators.delete(id);
+        if (this.spectators.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // The room is gone, what is left of the match goes out right away
+    close() {
+        this.release(Infinity);
+        this.sendFrames();
+        this.sendAll({ type: 'spectateEnded' });
+        for (let id of Array.from(this.spectators.keys())) {
+            this.removeSpectator(id);
+        }
+    }
+}
+
+// Checks a loadout sent from the waiting room, returns it normalized or
+// an error message for the player
+function validateLoadout(data) {
+    const config = gameConfig.loadout;
+    if (!data || !Array.isArray(data.powerups)) {
+        return { error: 'Ungültige Ausrüstung' };
+    }
+    const powerups = data.powerups;
+    if (powerups.length > config.slots) {
+        return { error: `Höchstens ${config.slots} Powerups` };
+    }
+    if (!powerups.every(id => typeof id === 'string' && Object.prototype.hasOwnProperty.call(Simulation.POWERUPS, id))) {
+        return { error: 'Unbekanntes Powerup' };
+    }
+    if (new Set(powerups).size !== powerups.length) {
+        return { error: 'Jedes Powerup nur einmal' };
+    }
+    const chassis = data.chassis === undefined ? config.defaultChassis : data.chassis;
+    if (typeof chassis !== 'string' || !Object.prototype.hasOwnProperty.call(config.chassis, chassis)) {
+        return { error: 'Unbekanntes Fahrgestell' };
+    }
+    const cost = powerups.reduce((sum, id) => sum + gameConfig.powerups[id].loadoutCost, 0);
+    if (cost > config.budget) {
+        return { error: `Ausrüstung zu teuer (${cost}/${config.budget})` };
+    }
+    return { loadout: { powerups: powerups.slice(), chassis: chassis } };
+}
+
+function msToTicks(ms) {
+    return Simulation.msToTicks(ms, gameConfig.simulation.tickRate);
+}
+
+// Priority queue for bot pathfinding, lowest priority first
+class BinaryHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    size() {
+        return this.items.length;
+    }
+
+    push(value, priority) {
+        const items = this.items;
+        items.push({ value, priority });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].priority <= items[i].priority) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.value;
+    }
+}
+
+// Bot Opponents
+// A bot drives its tank through the same entry points as a socket does
+// (input, shoot, usePowerup) and only acts on what its own fog of war shows
+class BotController {
+    constructor(room, playerId, difficulty) {
+        this.room = room;
+        this.playerId = playerId;
+        this.difficulty = difficulty;
+        this.profile = gameConfig.bots.difficulties[difficulty];
+        this.inputSeq = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.path = [];
+        this.goal = null;
+        this.target = null;
+        this.nextThinkTick = 0;
+        this.nextRepathAt = 0;
+        this.stuckTicks = 0;
+        this.strafeDirection = Math.random() < 0.5 ? 1 : -1;
+        this.aimError = this.rollAimError();
+    }
+
+    update(now) {
+        const player = this.room.players.get(this.playerId);
+        if (!player || !player.alive) return;
+
+        if (this.room.gameState.tick >= this.nextThinkTick) {
+            this.nextThinkTick = this.room.gameState.tick + gameConfig.bots.thinkIntervalTicks;
+            this.think(player, now);
+        }
+        this.steer(player);
+    }
+
+    think(player, now) {
+        this.updateTarget(player, now);
+        this.usePowerups(player);
+
+        const target = this.target;
+        const zone = this.room.suddenDeath && this.room.suddenDeath.rule === 'zone' ? this.room.suddenDeath : null;
+
+        if (zone && Math.hypot(player.x - zone.x, player.y - zone.y) > this.room.getZoneRadius() * 0.8) {
+            this.moveTo(player, zone, now);
+        } else if (target && target.visible && player.reloading && this.profile.seeksCover) {
+            this.takeCover(player, target, now);
+        } else if (target && target.visible) {
+            this.engage(player, target, now);
+        } else if (target) {
+            // Hunt down the last known position
+            this.moveTo(player, target, now);
+        } else {
+            this.roam(player, now);
+        }
+
+        // Fire once the target has been in sight for the reaction time
+        // and the turret has come round to the aim point
+        if (target && target.visible && !player.reloading && now - target.spottedAt >= this.profile.reactionMs) {
+            const aim = this.getAimPoint(player, target);
+            const aimAngle = Math.atan2(aim.y - player.y, aim.x - player.x);
+            if (Math.abs(Simulation.normalizeAngle(aimAngle - player.turretRotation)) <= gameConfig.bots.fireTolerance) {
+                this.room.handlePlayerShoot(this.playerId, aim.x, aim.y, this.room.gameState.tick);
+                this.aimError = this.rollAimError();
+            }
+        }
+    }
+
+    updateTarget(player, now) {
+        let closest = null;
+        for (let [id, other] of this.room.players) {
+            if (id === this.playerId || !other.alive || this.room.areTeammates(player, other)) continue;
+            if (!this.room.canSee(player, other)) continue;
+
+            const distance = Math.hypot(other.x - player.x, other.y - player.y);
+            if (!closest || distance < closest.distance) {
+                closest = { id, x: other.x, y: other.y, distance };
+            }
+        }
+
+        if (closest) {
+            const keepsTarget = this.target && this.target.id === closest.id && this.target.visible;
+            this.target = {
+                id: closest.id,
+                x: closest.x,
+                y: closest.y,
+                visible: true,
+                seenAt: now,
+                spottedAt: keepsTarget ? this.target.spottedAt : now
+            };
+            return;
+        }
+
+        if (!this.target) return;
+        this.target.visible = false;
+
+        // Eliminations are announced to everybody, so a bot may know them too
+        const lost = this.room.players.get(this.target.id);
+        const arrived = Math.hypot(player.x - this.target.x, player.y - this.target.y) < gameConfig.player.size;
+        if (!lost || !lost.alive || arrived || now - this.target.seenAt > gameConfig.bots.memoryMs) {
+            this.target = null;
+        }
+    }
+
+    usePowerups(player) {
+        if (!this.profile.usesPowerups || player.nextShotType) return;
+
+        const canUse = id => this.room.canUsePowerup(player, id);
+        let powerup = null;
+        if (canUse('shield') && player.health <= player.maxHealth / 2) {
+            powerup = 'shield';
+        } else if (this.target && this.target.visible) {
+            powerup = ['laser', 'explosive'].find(canUse) || null;
+        }
+        if (powerup) {
+            this.room.handlePowerup(this.playerId, player.loadout.indexOf(powerup) + 1);
+        }
+    }
+
+    rollAimError() {
+        return (Math.random() * 2 - 1) * this.profile.aimError;
+    }
+
+    // The miss is rolled once per shot, so the turret can settle on it
+    getAimPoint(player, target) {
+        const distance = Math.hypot(target.x - player.x, target.y - player.y);
+        const angle = Math.atan2(target.y - player.y, target.x - player.x) + this.aimError;
+        return {
+            x: player.x + Math.cos(angle) * distance,
+            y: player.y + Math.sin(angle) * distance
+        };
+    }
+
+    engage(player, target, now) {
+        const distance = Math.hypot(target.x - player.x, target.y - player.y);
+        const range = gameConfig.bots.preferredRange;
+        if (distance > range * 1.2) {
+            this.moveTo(player, target, now);
+            return;
+        }
+
+        // In range: circle the target, backing off when it gets too close
+        const angle = Math.atan2(target.y - player.y, target.x - player.x);
+        const strafe = angle + Math.PI / 2 * this.strafeDirection;
+        let dx = Math.cos(strafe);
+        let dy = Math.sin(strafe);
+        if (distance < range * 0.6) {
+            dx -= Math.cos(angle);
+            dy -= Math.sin(angle);
+        }
+        if (Math.random() < gameConfig.bots.strafeSwitchChance) {
+            this.strafeDirection *= -1;
+        }
+
+        const step = gameConfig.player.size * 2;
+        this.goal = null;
+        this.path = [{ x: player.x + dx * step, y: player.y + dy * step }];
+    }
+
+    takeCover(player, threat, now) {
+        const spot = this.findCoverSpot(player, threat);
+        if (spot) {
+            this.moveTo(player, spot, now);
+        } else {
+            this.engage(player, threat, now);
+        }
+    }
+
+    // Closest walkable spot next to a cover that the threat cannot see
+    findCoverSpot(player, threat) {
+        const offset = gameConfig.player.size;
+        let best = null;
+
+        for (let cover of this.room.gameState.covers) {
+            const spots = [
+                { x: cover.x - offset, y: cover.y + cover.height / 2 },
+                { x: cover.x + cover.width + offset, y: cover.y + cover.height / 2 },
+                { x: cover.x + cover.width / 2, y: cover.y - offset },
+                { x: cover.x + cover.width / 2, y: cover.y + cover.height + offset }
+            ];
+            for (let spot of spots) {
+                const distance = Math.hypot(spot.x - player.x, spot.y - player.y);
+                if (distance > gameConfig.bots.coverSearchRadius || (best && distance >= best.distance)) continue;
+                if (!this.room.isWalkable(spot.x, spot.y)) continue;
+                // The threat can turn around, so only walls count
+                if (this.room.hasLineOfSight(threat.x, threat.y, spot.x, spot.y)) continue;
+                best = { x: spot.x, y: spot.y, distance };
+            }
+        }
+        return best;
+    }
+
+    roam(player, now) {
+        if (this.goal && this.path.length > 0) return;
+
+        const points = this.room.map.pickupSpawns.concat(this.room.map.spawnPoints);
+        const point = points[Math.floor(Math.random() * points.length)];
+        this.moveTo(player, point, now);
+    }
+
+    moveTo(player, goal, now) {
+        const goalMoved = !this.goal || Math.hypot(goal.x - this.goal.x, goal.y - this.goal.y) > gameConfig.player.size;
+        if (!goalMoved && this.path.length > 0 && now < this.nextRepathAt) return;
+
+        this.goal = { x: goal.x, y: goal.y };
+        this.path = this.room.findPath(player, goal);
+        this.nextRepathAt = now + gameConfig.bots.repathMs;
+    }
+
+    steer(player) {
+        // Drop the waypoints already reached
+        while (this.path.length > 0 && 
+               Math.hypot(this.path[0].x - player.x, this.path[0].y - player.y) < gameConfig.bots.waypointRadius) {
+            this.path.shift();
+        }
+        if (this.path.length === 0) {
+            this.goal = null;
+        }
+
+        let dx = 0;
+        let dy = 0;
+        if (this.path.length > 0) {
+            const waypoint = this.path[0];
+            const distance = Math.hypot(waypoint.x - player.x, waypoint.y - player.y);
+            dx = (waypoint.x - player.x) / distance;
+            dy = (waypoint.y - player.y) / distance;
+
+            // Pushing against a wall, plan again on the next decision
+            const speed = Math.hypot(player.velocity.x, player.velocity.y);
+            this.stuckTicks = speed < gameConfig.bots.stuckSpeed ? this.stuckTicks + 1 : 0;
+            if (this.stuckTicks > gameConfig.bots.stuckTicks) {
+                this.stuckTicks = 0;
+                this.path = [];
+                this.goal = null;
+                this.strafeDirection *= -1;
+            }
+        }
+
+        // Look at the enemy while fighting, otherwise where we are heading
+        const aim = this.target && this.target.visible ? this.getAimPoint(player, this.target) : this.path[0];
+        this.room.handlePlayerInput(this.playerId, {
+            seq: ++this.inputSeq,
+            dx: dx,
+            dy: dy,
+            aimX: aim ? aim.x : undefined,
+            aimY: aim ? aim.y : undefined
+        });
+    }
 }
 
 // Game Room Management
 class GameRoom {
-    constructor(code, host) {
+    constructor(code, host, options = {}) {
         this.code = code;
         this.host = host;
+        this.map = options.map || maps.get(gameConfig.maps.defaultMap) || maps.values().next().value;
+        this.settings = {
+            maxRewindMs: this.clampRewind(options.maxRewindMs),
+            mode: gameConfig.room.modes.includes(options.mode) ? options.mode : 'ffa',
+            maxPlayers: 2,
+            friendlyFire: options.friendlyFire === true,
+            bestOf: gameConfig.rounds.bestOf.includes(Number(options.bestOf)) ? Number(options.bestOf) : 1,
+            roundTimeLimit: gameConfig.rounds.timeLimits.includes(Number(options.roundTimeLimit)) ? 
+                Number(options.roundTimeLimit) : 0,
+            suddenDeath: gameConfig.rounds.suddenDeath.rules.includes(options.suddenDeath) ? 
+                options.suddenDeath : 'zone',
+            botDifficulty: gameConfig.bots.difficulties[options.botDifficulty] ? 
+                options.botDifficulty : gameConfig.bots.defaultDifficulty,
+            ranked: options.ranked === true   // Filled by the matchmaker, nobody joins by code
+        };
+        this.settings.maxPlayers = this.clampMaxPlayers(options.maxPlayers);
         this.players = new Map();
-        this.gameState = {
+        this.bots = new Map();
+        this.navGrid = null;
+
+        // Tanks, shells, covers and pickups are advanced by the shared
+        // simulation, the room keeps what only the server needs next to it
+        this.gameState = Object.assign(Simulation.createState({
+            config: gameConfig,
+            width: this.map.width,
+            height: this.map.height,
+            covers: this.map.covers.map(c => ({...c})),
+            tanks: this.players,
+            settings: this.settings
+        }), {
             started: false,
-            covers: gameConfig.cover.layouts.map(c => ({...c, health: 100})),
-            projectiles: [],
+            coverChanges: this.createCoverChanges(),
             explosions: [],
             lastUpdate: Date.now()
-        };
+        });
+        this.tickAccumulator = 0;
+        this.fixedSeed = Number.isInteger(options.seed) ? options.seed >>> 0 : null;
+        this.seed = null;
+        this.rng = null;
         this.updateInterval = null;
+        this.startTimer = null;
+        this.loadoutTimer = null;   // Ranked rooms, see Matchmaker.expireLoadouts
+        this.roundTimer = null;
+        this.round = 0;
+        this.roundWins = {};
+        this.roundActive = false;
+        this.roundStartTime = null;
+        this.roundEndsAt = null;
+        this.suddenDeath = null;
+        this.visibility = new Map();
         this.stats = new GameStatistics();
         this.matchStartTime = null;
         this.matchEndTime = null;
         this.rematchVotes = new Set();
+        this.recorder = null;
+        this.spectatorFeed = new SpectatorFeed(this);
+        this.participants = [];
     }
 
-    addPlayer(id, ws, name) {
-        if (this.players.size >= 2) return false;
+    addPlayer(id, ws, name, options = {}) {
+        if (this.players.size >= this.settings.maxPlayers) return false;
         
-        const playerIndex = this.players.size;
-        const position = gameConfig.player.startPositions[playerIndex];
+        // Lowest free index, snapshots address players by it
+        const usedIndices = new Set(Array.from(this.players.values()).map(p => p.playerIndex));
+        let playerIndex = 0;
+        while (usedIndices.has(playerIndex)) playerIndex++;
+
+        // Fill up the smaller team
+        let team = null;
+        if (this.settings.mode === 'teams') {
+            const teamSizes = [0, 0];
+            for (let player of this.players.values()) teamSizes[player.team]++;
+            team = teamSizes[0] <= teamSizes[1] ? 0 : 1;
+        }
         
         this.players.set(id, {
             id: id,
             ws: ws,
             name: name,
-            x: position.x,
-            y: position.y,
-            rotation: position.rotation,
+            x: 0,
+            y: 0,
+            hullRotation: 0,
+            turretRotation: 0,
+            spawn: null,
+            mirrored: false,
+            team: team,
+            alive: true,
             health: gameConfig.player.maxHealth,
+            maxHealth: gameConfig.player.maxHealth,
             points: 0,
-            lastShot: 0,
+            reloadReadyTick: 0,
             reloading: false,
             reloadProgress: 1,
             shield: 0,
             velocity: { x: 0, y: 0 },
-            usedPowerups: new Set(),
+            input: this.createInputState(),
+            loadout: gameConfig.loadout.powerups.slice(),
+            chassis: gameConfig.loadout.defaultChassis,
+            loadoutConfirmed: false,
+            knownPickups: new Map(),
+            powerups: null,
             nextShotType: null,
+            zoneDamage: 0,
             visible: true,
-            playerIndex: playerIndex
+            playerIndex: playerIndex,
+            encoding: options.encoding || 'json',
+            sessionToken: options.sessionToken || null,
+            accountId: options.accountId || null,
+            isBot: options.isBot === true,
+            connected: true,
+            disconnectTimer: null,
+            snapshotHistory: new Array(SNAPSHOT_HISTORY_SIZE).fill(null),
+            ackTick: 0
         });
 
         this.stats.initPlayer(id);
         return true;
     }
 
+    addBot() {
+        const id = `bot-${uuidv4()}`;
+        const usedNames = new Set(Array.from(this.players.values()).map(p => p.name));
+        const name = gameConfig.bots.names.map(n => `Bot ${n}`).find(n => !usedNames.has(n)) || 'Bot';
+        if (!this.addPlayer(id, null, name, { isBot: true })) return false;
+
+        this.bots.set(id, new BotController(this, id, this.settings.botDifficulty));
+        return true;
+    }
+
+    hasHumans() {
+        return Array.from(this.players.values()).some(player => !player.isBot);
+    }
+
+    hasAccount(accountId) {
+        return Array.from(this.players.values()).some(player => player.accountId === accountId);
+    }
+
     removePlayer(id) {
+        const player = this.players.get(id);
+        if (player && player.disconnectTimer) {
+            clearTimeout(player.disconnectTimer);
+        }
         this.players.delete(id);
-        if (this.updateInterval) {
-            clearInterval(this.updateInterval);
-            this.updateInterval = null;
+        this.bots.delete(id);
+        this.rematchVotes.delete(id);
+        this.visibility.delete(id);
+
+        // Bots never play among themselves
+        if (!this.hasHumans()) {
+            for (let botId of this.bots.keys()) {
+                this.players.delete(botId);
+            }
+            this.bots.clear();
+        }
+
+        // The match goes on as long as anybody is left
+        if (this.players.size === 0) {
+            clearTimeout(this.startTimer);
+            clearTimeout(this.roundTimer);
+            this.startTimer = null;
+            this.roundTimer = null;
+            this.roundActive = false;
+            if (this.updateInterval) {
+                clearInterval(this.updateInterval);
+                this.updateInterval = null;
+            }
+            this.spectatorFeed.close();
         }
     }
 
+    clampMaxPlayers(maxPlayers) {
+        const value = parseInt(maxPlayers);
+        if (!Number.isInteger(value)) return gameConfig.room.minPlayers;
+        let clamped = Math.max(gameConfig.room.minPlayers, Math.min(gameConfig.room.maxPlayers, value));
+        // The map needs a spawn point for every tank
+        const spawnPoints = this.map.spawnPoints;
+        if (this.settings.mode === 'teams') {
+            const teamSpawns = [0, 1].map(team => spawnPoints.filter(spawn => spawn.team === team).length);
+            clamped = Math.min(clamped, 2 * Math.min(...teamSpawns));
+        } else {
+            clamped = Math.min(clamped, spawnPoints.length);
+        }
+        // Teams need an even number of seats
+        if (this.settings.mode === 'teams' && clamped % 2 === 1) clamped--;
+        return Math.max(gameConfig.room.minPlayers, clamped);
+    }
+
+    canStart() {
+        if (this.gameState.started) return false;
+        if (this.players.size < gameConfig.room.minPlayers) return false;
+        if (!this.allLoadoutsConfirmed()) return false;
+        if (this.settings.mode === 'teams') {
+            const teams = new Set(Array.from(this.players.values()).map(p => p.team));
+            return teams.size === 2;
+        }
+        return true;
+    }
+
+    // Bots keep the default loadout, everybody else confirms one in the waiting room
+    allLoadoutsConfirmed() {
+        return Array.from(this.players.values()).every(player => player.isBot || player.loadoutConfirmed);
+    }
+
+    setLoadout(playerId, data) {
+        const player = this.players.get(playerId);
+        if (!player) return { success: false, error: 'Player not found' };
+        if (this.gameState.started) return { success: false, error: 'Spiel läuft bereits' };
+
+        const result = validateLoadout(data);
+        if (result.error) return { success: false, error: result.error };
+
+        player.loadout = result.loadout.powerups;
+        player.chassis = result.loadout.chassis;
+        player.loadoutConfirmed = true;
+        return { success: true, loadout: result.loadout };
+    }
+
+    getChassis(player) {
+        return gameConfig.loadout.chassis[player.chassis] || gameConfig.loadout.chassis[gameConfig.loadout.defaultChassis];
+    }
+
+    assignSpawns() {
+        const spawnPoints = this.map.spawnPoints;
+        const players = Array.from(this.players.values()).sort((a, b) => a.playerIndex - b.playerIndex);
+
+        players.forEach((player, i) => {
+            if (this.settings.mode === 'teams') {
+                const teamSpawns = spawnPoints.filter(spawn => spawn.team === player.team);
+                const slot = players.filter(p => p.team === player.team).indexOf(player);
+                player.spawn = teamSpawns[slot % teamSpawns.length];
+            } else {
+                player.spawn = spawnPoints[i % spawnPoints.length];
+            }
+            // Players spawning in the top half get a rotated view, so
+            // everyone sees their own side at the bottom of the screen
+            player.mirrored = player.spawn.y < this.map.height / 2;
+        });
+    }
+
     startGame() {
-        if (this.players.size !== 2) return false;
+        if (!this.canStart()) return false;
         
+        clearTimeout(this.loadoutTimer);
+        this.loadoutTimer = null;
         this.gameState.started = true;
         this.matchStartTime = Date.now();
+        this.matchEndTime = null;
         this.rematchVotes.clear();
+        this.round = 0;
+        this.roundWins = {};
+        for (let player of this.players.values()) {
+            this.stats.recordLoadout(player.id, { powerups: player.loadout.slice(), chassis: player.chassis });
+        }
+
+        // Players with an account, kept so leaving early still counts as a loss
+        this.participants = Array.from(this.players.values())
+            .filter(player => player.accountId)
+            .map(player => ({ playerId: player.id, accountId: player.accountId, name: player.name, team: player.team }));
+
+        // Every random roll of the simulation comes from the match seed
+        this.seed = this.fixedSeed !== null ? this.fixedSeed : Math.floor(Math.random() * 0x100000000);
+        this.rng = Simulation.createRng(this.seed);
+        this.recorder = gameConfig.replays.enabled ? new MatchRecorder(this) : null;
+        if (gameConfig.spectators.enabled) this.spectatorFeed.startMatch(this.matchStartTime);
+        this.startRound();
         
+        return true;
+    }
+
+    startRound() {
+        this.round++;
+        this.roundTimer = null;
+        this.suddenDeath = null;
+
         // Reset covers
-        this.gameState.covers = gameConfig.cover.layouts.map(c => ({...c, health: 100}));
+        this.gameState.tick = 0;
+        this.gameState.zone = null;
+        this.gameState.covers = this.map.covers.map(c => ({...c}));
+        this.gameState.coverChanges = this.createCoverChanges();
+        this.gameState.projectiles = [];
+        this.gameState.explosions = [];
+        this.gameState.pickups = Simulation.createPickups(this.gameState, this.map.pickupSpawns);
+        this.invalidateNavGrid();
+        this.bots.forEach(bot => bot.reset());
+        this.recordEvent({ type: 'roundStart', round: this.round, covers: this.gameState.covers });
         
         // Reset player states
+        this.assignSpawns();
         const playerArray = Array.from(this.players.values());
         playerArray.forEach((player) => {
-            const position = gameConfig.player.startPositions[player.playerIndex];
-            player.x = position.x;
-            player.y = position.y;
-            player.rotation = position.rotation;
-            player.health = gameConfig.player.maxHealth;
+            player.x = player.spawn.x;
+            player.y = player.spawn.y;
+            player.hullRotation = player.spawn.rotation;
+            player.turretRotation = player.spawn.rotation;
+            player.alive = true;
+            player.maxHealth = Math.round(gameConfig.player.maxHealth * this.getChassis(player).health);
+            player.speedFactor = this.getChassis(player).speed;
+            player.health = player.maxHealth;
             player.points = 0;
             player.shield = 0;
-            player.usedPowerups = new Set();
+            player.zoneDamage = 0;
+            player.powerups = this.createPowerupStates(player.loadout);
             player.nextShotType = null;
+            player.reloadReadyTick = 0;
             player.reloading = false;
-            player.lastShot = 0;
+            player.reloadProgress = 1;
             player.velocity = { x: 0, y: 0 };
+            player.input = this.createInputState();
+            player.snapshotHistory.fill(null);
+            player.ackTick = 0;
+            player.knownPickups = new Map();
         });
+        this.tickAccumulator = 0;
+        this.gameState.positionHistory = [];
+        this.visibility.clear();
+
+        const countdownMs = gameConfig.rounds.countdownMs;
+        this.roundEndsAt = this.settings.roundTimeLimit > 0 ? 
+            Date.now() + countdownMs + this.settings.roundTimeLimit * 1000 : null;
         
         // Send game start to all players
-        playerArray.forEach((player, index) => {
-            const otherPlayer = playerArray[1 - index];
-            player.ws.send(JSON.stringify({
-                type: 'gameStart',
-                localPlayer: {
-                    id: player.id,
-                    name: player.name,
-                    x: player.x,
-                    y: player.y,
-                    health: player.health,
-                    rotation: player.rotation,
-                    points: player.points,
-                    usedPowerups: Array.from(player.usedPowerups),
-                    playerIndex: player.playerIndex
-                },
-                enemyPlayer: {
-                    id: otherPlayer.id,
-                    name: otherPlayer.name,
-                    x: otherPlayer.x,
-                    y: otherPlayer.y,
-                    health: otherPlayer.health,
-                    rotation: otherPlayer.rotation,
-                    playerIndex: otherPlayer.playerIndex
-                },
-                covers: this.gameState.covers,
-                arenaSize: {
-                    width: gameConfig.arena.width,
-                    height: gameConfig.arena.height
-                }
-            }));
+        playerArray.forEach(player => {
+            this.sendTo(player, this.buildGameStart(player));
         });
 
         // Start game update loop after countdown
-        setTimeout(() => {
-            this.updateInterval = setInterval(() => this.update(), 1000 / 60);
-        }, 5000); // 5 second countdown
-        
+        this.startTimer = setTimeout(() => {
+            this.startTimer = null;
+            this.roundActive = true;
+            this.roundStartTime = Date.now();
+            this.stats.startRound();
+            this.gameState.lastUpdate = Date.now();
+            this.updateInterval = setInterval(() => this.update(), 1000 / gameConfig.simulation.tickRate);
+        }, countdownMs);
+    }
+
+    buildGameStart(player) {
+        const otherPlayers = Array.from(this.players.values()).filter(p => p.id !== player.id);
+        return {
+            type: 'gameStart',
+            mode: this.settings.mode,
+            friendlyFire: this.settings.friendlyFire,
+            localPlayer: {
+                ...this.describePlayer(player),
+                points: player.points,
+                loadout: player.loadout.map(id => ({ id: id, cost: gameConfig.powerups[id].cost })),
+                speedFactor: this.getChassis(player).speed,
+                lockedPowerups: this.getLockedPowerups(player),
+                mirrored: player.mirrored
+            },
+            players: otherPlayers.map(p => this.describePlayer(p)),
+            round: this.describeRound(),
+            covers: this.gameState.covers,
+            map: this.describeMap(),
+            reconnectGraceMs: gameConfig.session.reconnectGraceMs
+        };
+    }
+
+    describePlayer(player) {
+        const stats = this.stats.players.get(player.id);
+        return {
+            id: player.id,
+            name: player.name,
+            x: player.x,
+            y: player.y,
+            health: player.health,
+            maxHealth: player.maxHealth,
+            chassis: player.chassis,
+            hullRotation: player.hullRotation,
+            turretRotation: player.turretRotation,
+            playerIndex: player.playerIndex,
+            team: player.team,
+            alive: player.alive,
+            kills: stats ? stats.kills : 0
+        };
+    }
+
+    describeMap() {
+        return {
+            id: this.map.id,
+            name: this.map.name,
+            width: this.map.width,
+            height: this.map.height,
+            theme: this.map.theme,
+            pickupSpawns: this.map.pickupSpawns
+        };
+    }
+
+    describeRound() {
+        return {
+            number: this.round,
+            bestOf: this.settings.bestOf,
+            score: this.roundWins,
+            endsAt: this.roundEndsAt,
+            suddenDeath: this.suddenDeath
+        };
+    }
+
+    getLobbyInfo() {
+        return {
+            type: 'lobbyUpdate',
+            players: this.players.size,
+            bots: this.bots.size,
+            botDifficulty: this.settings.botDifficulty,
+            maxPlayers: this.settings.maxPlayers,
+            mode: this.settings.mode,
+            map: this.map.name,
+            host: this.host,
+            humans: this.players.size - this.bots.size,
+            ready: Array.from(this.players.values()).filter(player => !player.isBot && player.loadoutConfirmed).length,
+            canStart: this.canStart()
+        };
+    }
+
+    handleDisconnect(playerId, onForfeit) {
+        const player = this.players.get(playerId);
+        if (!player) return;
+
+        // Keep the tank in place and hold the seat for a while
+        player.connected = false;
+        player.input.dx = 0;
+        player.input.dy = 0;
+        player.disconnectTimer = setTimeout(() => {
+            player.disconnectTimer = null;
+            onForfeit();
+        }, gameConfig.session.reconnectGraceMs);
+
+        this.broadcast({
+            type: 'playerDisconnected',
+            playerId: playerId,
+            graceMs: gameConfig.session.reconnectGraceMs
+        });
+    }
+
+    resumePlayer(playerId, ws, encoding) {
+        const player = this.players.get(playerId);
+        if (!player || !this.gameState.started) return false;
+
+        if (player.disconnectTimer) {
+            clearTimeout(player.disconnectTimer);
+            player.disconnectTimer = null;
+        }
+
+        // The old socket may not have noticed the drop yet
+        if (player.ws !== ws && player.ws.readyState === WebSocket.OPEN) {
+            player.ws.terminate();
+        }
+
+        player.ws = ws;
+        player.connected = true;
+        player.encoding = encoding;
+        player.input = this.createInputState();
+
+        // Force a full snapshot, the client starts from scratch
+        player.snapshotHistory.fill(null);
+        player.ackTick = 0;
+        player.knownPickups = new Map();
+
+        this.sendTo(player, { ...this.buildGameStart(player), resumed: true });
+        this.broadcast({
+            type: 'playerReconnected',
+            playerId: playerId
+        });
         return true;
     }
 
+    getCoverGrid() {
+        return Simulation.getCoverGrid(this.gameState);
+    }
+
+    invalidateNavGrid() {
+        this.navGrid = null;
+    }
+
+    getCoversInRect(x, y, width, height) {
+        return Simulation.getCoversInRect(this.gameState, x, y, width, height);
+    }
+
+    // Fog of war is computed by the simulation, so replays can redo it
     calculateVisiblePoints(x, y, rotation) {
-        // Calculate vision cone for shadow casting
-        const viewDistance = gameConfig.player.viewDistance;
-        const viewAngle = gameConfig.player.viewAngle;
-        const numRays = 180;
-        const visiblePoints = [];
-        
-        for (let i = 0; i < numRays; i++) {
-            const angle = rotation - viewAngle/2 + (viewAngle * i / numRays);
-            const endX = x + Math.cos(angle) * viewDistance;
-            const endY = y + Math.sin(angle) * viewDistance;
-            
-            let closestDistance = viewDistance;
-            let hitPoint = { x: endX, y: endY };
-            
-            // Check intersection with covers
-            for (let cover of this.gameState.covers) {
-                const intersection = this.getRayRectIntersection(x, y, endX, endY, cover);
-                if (intersection) {
-                    const dist = Math.sqrt(
-                        Math.pow(intersection.x - x, 2) + 
-                        Math.pow(intersection.y - y, 2)
-                    );
-                    if (dist < closestDistance) {
-                        closestDistance = dist;
-                        hitPoint = intersection;
+        return Simulation.calculateVisiblePoints(this.gameState, x, y, rotation);
+    }
+
+    isPointInVisibleArea(targetX, targetY, viewerX, viewerY, rotation) {
+        return Simulation.isPointInVisibleArea(this.gameState, targetX, targetY, viewerX, viewerY, rotation);
+    }
+
+    hasLineOfSight(x1, y1, x2, y2) {
+        return Simulation.hasLineOfSight(this.gameState, x1, y1, x2, y2);
+    }
+
+    canSee(viewer, target) {
+        return Simulation.canSee(this.gameState, viewer, target);
+    }
+
+    canSeePoint(viewer, x, y) {
+        return Simulation.canSeePoint(this.gameState, viewer, x, y);
+    }
+
+    // Grid of tank positions for bot pathfinding, rebuilt after covers change.
+    // A cell is blocked when a tank centered on it would leave the arena or
+    // touch a cover.
+    getNavGrid() {
+        if (this.navGrid) return this.navGrid;
+
+        const cellSize = gameConfig.bots.navCellSize;
+        const halfSize = gameConfig.player.size / 2;
+        const cols = Math.floor(this.map.width / cellSize);
+        const rows = Math.floor(this.map.height / cellSize);
+        const blocked = new Uint8Array(cols * rows);
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const x = (col + 0.5) * cellSize;
+                const y = (row + 0.5) * cellSize;
+                if (x < halfSize || y < halfSize || x > this.map.width - halfSize || y > this.map.height - halfSize) {
+                    blocked[row * cols + col] = 1;
+                }
+            }
+        }
+        for (let cover of this.gameState.covers) {
+            const minCol = Math.max(0, Math.floor((cover.x - halfSize) / cellSize));
+            const maxCol = Math.min(cols - 1, Math.floor((cover.x + cover.width + halfSize) / cellSize));
+            const minRow = Math.max(0, Math.floor((cover.y - halfSize) / cellSize));
+            const maxRow = Math.min(rows - 1, Math.floor((cover.y + cover.height + halfSize) / cellSize));
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    const tank = {
+                        x: (col + 0.5) * cellSize - halfSize,
+                        y: (row + 0.5) * cellSize - halfSize,
+                        width: gameConfig.player.size,
+                        height: gameConfig.player.size
+                    };
+                    if (Simulation.checkRectCollision(tank, cover)) {
+                        blocked[row * cols + col] = 1;
                     }
                 }
             }
-            
-            visiblePoints.push(hitPoint);
         }
-        
-        return visiblePoints;
+
+        this.navGrid = { cellSize, cols, rows, blocked };
+        return this.navGrid;
     }
 
-    getRayRectIntersection(x1, y1, x2, y2, rect) {
-        const edges = [
-            { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y },
-            { x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height },
-            { x1: rect.x + rect.width, y1: rect.y + rect.height, x2: rect.x, y2: rect.y + rect.height },
-            { x1: rect.x, y1: rect.y + rect.height, x2: rect.x, y2: rect.y }
-        ];
-        
-        let closestIntersection = null;
-        let minDistance = Infinity;
-        
-        for (let edge of edges) {
-            const intersection = this.getLineIntersection(x1, y1, x2, y2, edge.x1, edge.y1, edge.x2, edge.y2);
-            if (intersection) {
-                const distance = Math.sqrt(
-                    Math.pow(intersection.x - x1, 2) + 
-                    Math.pow(intersection.y - y1, 2)
-                );
-                if (distance < minDistance) {
-                    minDistance = distance;
-                    closestIntersection = intersection;
+    getNavCell(x, y) {
+        const grid = this.getNavGrid();
+        const col = Math.min(grid.cols - 1, Math.max(0, Math.floor(x / grid.cellSize)));
+        const row = Math.min(grid.rows - 1, Math.max(0, Math.floor(y / grid.cellSize)));
+        return row * grid.cols + col;
+    }
+
+    isWalkable(x, y) {
+        if (x < 0 || y < 0 || x > this.map.width || y > this.map.height) return false;
+        return !this.getNavGrid().blocked[this.getNavCell(x, y)];
+    }
+
+    // A* over the navigation grid, returns waypoints with the start left out.
+    // Falls back to heading straight for the goal when it cannot be reached.
+    findPath(from, to) {
+        const grid = this.getNavGrid();
+        const { cols, cellSize, blocked } = grid;
+        const start = this.getNavCell(from.x, from.y);
+        const goal = this.getNavCell(to.x, to.y);
+        if (blocked[goal]) return [{ x: to.x, y: to.y }];
+
+        const center = index => ({
+            x: (index % cols + 0.5) * cellSize,
+            y: (Math.floor(index / cols) + 0.5) * cellSize
+        });
+        const heuristic = index => {
+            const dx = Math.abs(index % cols - goal % cols);
+            const dy = Math.abs(Math.floor(index / cols) - Math.floor(goal / cols));
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const cost = new Float64Array(cols * grid.rows).fill(Infinity);
+        const cameFrom = new Int32Array(cols * grid.rows).fill(-1);
+        const open = new BinaryHeap();
+        cost[start] = 0;
+        open.push(start, heuristic(start));
+
+        while (open.size() > 0) {
+            const current = open.pop();
+            if (current === goal) break;
+
+            const col = current % cols;
+            const row = Math.floor(current / cols);
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if (dx === 0 && dy === 0) continue;
+                    const nextCol = col + dx;
+                    const nextRow = row + dy;
+                    if (nextCol < 0 || nextRow < 0 || nextCol >= cols || nextRow >= grid.rows) continue;
+
+                    const next = nextRow * cols + nextCol;
+                    if (blocked[next]) continue;
+                    // No cutting corners past a cover
+                    if (dx !== 0 && dy !== 0 && (blocked[row * cols + nextCol] || blocked[nextRow * cols + col])) continue;
+
+                    const nextCost = cost[current] + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+                    if (nextCost < cost[next]) {
+                        cost[next] = nextCost;
+                        cameFrom[next] = current;
+                        open.push(next, nextCost + heuristic(next));
+                    }
                 }
             }
         }
-        
-        return closestIntersection;
-    }
 
-    getLineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
-        const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
-        if (Math.abs(denom) < 0.0001) return null;
-        
-        const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
-        const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
-        
-        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
-            return {
-                x: x1 + t * (x2 - x1),
-                y: y1 + t * (y2 - y1)
-            };
+        if (goal !== start && cameFrom[goal] === -1) return [{ x: to.x, y: to.y }];
+
+        const cells = [];
+        for (let index = goal; index !== start; index = cameFrom[index]) {
+            cells.unshift(center(index));
         }
-        
-        return null;
+        cells.push({ x: to.x, y: to.y });
+
+        // Skip waypoints the tank can drive past in a straight line
+        const path = [];
+        let position = from;
+        let i = 0;
+        while (i < cells.length) {
+            let furthest = i;
+            while (furthest + 1 < cells.length && this.isLineWalkable(position, cells[furthest + 1])) {
+                furthest++;
+            }
+            path.push(cells[furthest]);
+            position = cells[furthest];
+            i = furthest + 1;
+        }
+        return path;
     }
 
-    isPointInVisibleArea(targetX, targetY, viewerX, viewerY, rotation) {
-        // Check if point is within view distance
-        const distance = Math.sqrt(
-            Math.pow(targetX - viewerX, 2) + 
-            Math.pow(targetY - viewerY, 2)
-        );
-        
-        if (distance > gameConfig.player.viewDistance) return false;
-        
-        // Check if line of sight is blocked
-        for (let cover of this.gameState.covers) {
-            if (this.lineIntersectsRect(viewerX, viewerY, targetX, targetY, cover)) {
-                return false;
-            }
+    isLineWalkable(from, to) {
+        const step = gameConfig.bots.navCellSize / 2;
+        const steps = Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / step);
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            if (!this.isWalkable(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t)) return false;
         }
-        
         return true;
     }
 
-    lineIntersectsRect(x1, y1, x2, y2, rect) {
-        const lines = [
-            {x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y},
-            {x1: rect.x, y1: rect.y, x2: rect.x, y2: rect.y + rect.height},
-            {x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height},
-            {x1: rect.x, y1: rect.y + rect.height, x2: rect.x + rect.width, y2: rect.y + rect.height}
-        ];
-        
-        for (let line of lines) {
-            if (this.getLineIntersection(x1, y1, x2, y2, line.x1, line.y1, line.x2, line.y2)) {
-                return true;
-            }
+    clampRewind(maxRewindMs) {
+        const historyMs = gameConfig.lagCompensation.historyTicks * 1000 / gameConfig.simulation.tickRate;
+        const value = Number(maxRewindMs);
+        if (maxRewindMs === undefined || maxRewindMs === null || !Number.isFinite(value)) {
+            return gameConfig.lagCompensation.maxRewindMs;
         }
-        return false;
+        return Math.max(0, Math.min(historyMs, value));
+    }
+
+    createInputState() {
+        return { seq: 0, ticks: 0, dx: 0, dy: 0, aimX: null, aimY: null, fire: null, powerup: null };
     }
 
     update() {
         const now = Date.now();
-        const deltaTime = (now - this.gameState.lastUpdate) / 1000;
+        const tickDuration = 1 / gameConfig.simulation.tickRate;
+
+        // Advance the simulation in fixed steps, independent of how often
+        // the interval fires or how fast any client renders
+        this.tickAccumulator += (now - this.gameState.lastUpdate) / 1000;
+        this.tickAccumulator = Math.min(
+            this.tickAccumulator,
+            tickDuration * gameConfig.simulation.maxCatchUpTicks
+        );
         this.gameState.lastUpdate = now;
 
-        // Update visibility for each player
-        const playerArray = Array.from(this.players.values());
-        if (playerArray.length === 2) {
-            const [player1, player2] = playerArray;
-            
-            // Check if players can see each other
-            player1.visibleToEnemy = this.isPointInVisibleArea(
-                player2.x, player2.y, 
-                player1.x, player1.y, 
-                player1.rotation
-            );
-            
-            player2.visibleToEnemy = this.isPointInVisibleArea(
-                player1.x, player1.y,
-                player2.x, player2.y,
-                player2.rotation
-            );
+        const startTick = this.gameState.tick;
+        while (this.tickAccumulator >= tickDuration) {
+            this.tickAccumulator -= tickDuration;
+            this.simulateTick(tickDuration, now);
+            this.recordTick(now);
+            if (!this.roundActive) return;
         }
 
-        // Update projectiles
-        this.gameState.projectiles = this.gameState.projectiles.filter(proj => {
-            if (proj.instant) return false;
-            
-            proj.x += proj.vx * deltaTime;
-            proj.y += proj.vy * deltaTime;
+        // Nothing new to send if the interval fired early
+        if (this.gameState.tick === startTick) return;
 
-            // Check boundaries
-            if (proj.x < 0 || proj.x > gameConfig.arena.width || 
-                proj.y < 0 || proj.y > gameConfig.arena.height) {
-                return false;
-            }
+        // Round time is up, sudden death decides
+        if (this.roundEndsAt && !this.suddenDeath && now >= this.roundEndsAt) {
+            this.startSuddenDeath(now);
+            if (!this.roundActive) return;
+        }
 
-            // Check cover collisions
-            for (let cover of this.gameState.covers) {
-                if (this.checkProjectileCoverCollision(proj, cover)) {
-                    if (proj.type === 'explosive' && !proj.exploded) {
-                        proj.exploded = true;
-                        this.explode(proj.x, proj.y, proj.ownerId);
-                    }
-                    return false;
-                }
-            }
+        // Update visibility, every viewer against every other tank
+        this.updateVisibility();
 
-            // Check player collisions
-            for (let [id, player] of this.players) {
-                if (id !== proj.ownerId && this.checkProjectilePlayerCollision(proj, player)) {
-                    if (proj.type === 'explosive' && !proj.exploded) {
-                        proj.exploded = true;
-                        this.explode(proj.x, proj.y, proj.ownerId);
-                    } else {
-                        this.hitPlayer(id, proj.damage, proj.ownerId);
-                        this.stats.recordHit(proj.ownerId, proj.damage);
-                    }
-                    return false;
-                }
-            }
+        // Cover damage travels as events, the layout itself is only sent on start
+        this.flushCoverChanges();
+        this.flushPickups();
 
-            // Check explosive timer
-            if (proj.type === 'explosive' && !proj.exploded && 
-                now - proj.createdAt > gameConfig.powerups.explosive.explosionDelay) {
-                proj.exploded = true;
-                this.explode(proj.x, proj.y, proj.ownerId);
-                return false;
-            }
+        // Send personalized state updates to each player
+        for (let [id, player] of this.players) {
+            if (player.isBot) continue;
+            this.sendSnapshot(player, this.buildSnapshot(player, now));
+        }
 
-            return true;
-        });
+        // Clear explosions after sending
+        this.gameState.explosions = [];
+    }
 
-        // Update reload states
-        for (let [id, player] of this.players) {
-            if (player.reloading) {
-                const timeSinceShot = now - player.lastShot;
-                if (timeSinceShot >= gameConfig.player.reloadTime) {
-                    player.reloading = false;
-                    player.reloadProgress = 1;
-                } else {
-                    player.reloadProgress = timeSinceShot / gameConfig.player.reloadTime;
+    updateVisibility() {
+        for (let [viewerId, viewer] of this.players) {
+            const visibleIds = new Set();
+            for (let [targetId, target] of this.players) {
+                if (targetId === viewerId || !target.alive) continue;
+
+                // Teammates share their positions
+                if (this.areTeammates(viewer, target) || (viewer.alive && this.canSee(viewer, target))) {
+                    visibleIds.add(targetId);
                 }
-            } else {
-                player.reloadProgress = 1;
             }
+            this.visibility.set(viewerId, visibleIds);
         }
+    }
 
-        // Send personalized state updates to each player
-        for (let [id, player] of this.players) {
-            const otherPlayers = {};
-            const visiblePoints = this.calculateVisiblePoints(player.x, player.y, player.rotation);
-            
-            for (let [otherId, otherPlayer] of this.players) {
-                if (otherId !== id) {
-                    // Only send enemy data if visible
-                    if (otherPlayer.visibleToEnemy) {
-                        otherPlayers[otherId] = {
-                            x: otherPlayer.x,
-                            y: otherPlayer.y,
-                            rotation: otherPlayer.rotation,
-                            health: otherPlayer.health,
-                            shield: otherPlayer.shield,
-                            reloading: otherPlayer.reloading,
-                            reloadProgress: otherPlayer.reloadProgress,
-                            visible: true
-                        };
-                    } else {
-                        otherPlayers[otherId] = {
-                            visible: false
-                        };
-                    }
-                } else {
-                    // Always send own data
-                    otherPlayers[id] = {
-                        x: player.x,
-                        y: player.y,
-                        rotation: player.rotation,
-                        health: player.health,
-                        shield: player.shield,
-                        reloading: player.reloading,
-                        reloadProgress: player.reloadProgress,
-                        points: player.points,
-                        usedPowerups: Array.from(player.usedPowerups),
-                        visible: true
-                    };
-                }
-            }
+    areTeammates(player, other) {
+        return Simulation.areTeammates(this.gameState, player, other);
+    }
 
-            if (player.ws.readyState === WebSocket.OPEN) {
-                player.ws.send(JSON.stringify({
-                    type: 'gameState',
-                    state: {
-                        players: otherPlayers,
-                        projectiles: this.gameState.projectiles.map(p => ({
-                            x: p.x,
-                            y: p.y,
-                            type: p.type,
-                            color: p.color
-                        })),
-                        covers: this.gameState.covers,
-                        explosions: this.gameState.explosions,
-                        visiblePoints: visiblePoints
-                    }
-                }));
+    canDamage(attackerId, targetId) {
+        return Simulation.canDamage(this.gameState, attackerId, targetId);
+    }
+
+    buildSnapshot(player, now) {
+        const snapshot = {
+            tick: this.gameState.tick,
+            serverTime: now,
+            players: {},
+            projectiles: {},
+            explosions: this.gameState.explosions,
+            visiblePoints: this.calculateVisiblePoints(player.x, player.y, player.turretRotation)
+                .map(point => ({ x: Math.round(point.x), y: Math.round(point.y) }))
+        };
+
+        const visibleIds = this.visibility.get(player.id) || new Set();
+        for (let [otherId, otherPlayer] of this.players) {
+            if (otherId !== player.id) {
+                // Only send other tanks this viewer can see
+                snapshot.players[otherPlayer.playerIndex] = visibleIds.has(otherId) ? {
+                    visible: true,
+                    x: otherPlayer.x,
+                    y: otherPlayer.y,
+                    hullRotation: otherPlayer.hullRotation,
+                    turretRotation: otherPlayer.turretRotation,
+                    health: otherPlayer.health,
+                    shield: otherPlayer.shield,
+                    reloading: otherPlayer.reloading,
+                    reloadProgress: Math.round(otherPlayer.reloadProgress * 255) / 255
+                } : { visible: false };
+            } else {
+                // Always send own data
+                let lockedPowerups = 0;
+                this.getLockedPowerups(player).forEach(slot => { lockedPowerups |= 1 << slot; });
+                snapshot.players[player.playerIndex] = {
+                    visible: true,
+                    x: player.x,
+                    y: player.y,
+                    hullRotation: player.hullRotation,
+                    turretRotation: player.turretRotation,
+                    health: player.health,
+                    shield: player.shield,
+                    reloading: player.reloading,
+                    reloadProgress: Math.round(player.reloadProgress * 255) / 255,
+                    vx: player.velocity.x,
+                    vy: player.velocity.y,
+                    points: player.points,
+                    lockedPowerups: lockedPowerups,
+                    // Lets the client drop predicted ticks the server already simulated
+                    lastInputSeq: player.input.seq,
+                    lastInputTicks: player.input.ticks
+                };
             }
         }
 
-        // Clear explosions after sending
-        this.gameState.explosions = [];
+        for (let proj of this.gameState.projectiles) {
+            snapshot.projectiles[proj.id] = {
+                id: proj.id,
+                type: proj.type,
+                tick: proj.origin.tick,
+                x: proj.origin.x,
+                y: proj.origin.y,
+                vx: proj.vx,
+                vy: proj.vy
+            };
+        }
+
+        return snapshot;
     }
 
-    handlePlayerMove(playerId, dx, dy, deltaTime) {
-        const player = this.players.get(playerId);
-        if (!player) return;
+    sendSnapshot(player, snapshot) {
+        if (player.ws.readyState !== WebSocket.OPEN) return;
+
+        // Delta against the newest snapshot the client confirmed having
+        const history = player.snapshotHistory;
+        const acked = history[player.ackTick % SNAPSHOT_HISTORY_SIZE];
+        const base = acked && acked.tick === player.ackTick ? acked : null;
+        history[snapshot.tick % SNAPSHOT_HISTORY_SIZE] = snapshot;
 
-        // Apply acceleration
-        const acceleration = gameConfig.player.acceleration * deltaTime;
-        player.velocity.x += dx * acceleration;
-        player.velocity.y += dy * acceleration;
+        const delta = diffSnapshot(base, snapshot);
+        if (player.encoding === 'binary') {
+            player.ws.send(encodeSnapshotBinary(delta));
+        } else {
+            player.ws.send(JSON.stringify({ type: 'gameState', state: delta }));
+        }
+    }
 
-        // Apply friction
-        player.velocity.x *= gameConfig.player.friction;
-        player.velocity.y *= gameConfig.player.friction;
+    handleSnapshotAck(playerId, tick) {
+        const player = this.players.get(playerId);
+        if (!player || !Number.isInteger(tick)) return;
+        if (tick <= player.ackTick || tick > this.gameState.tick) return;
+        player.ackTick = tick;
+    }
 
-        // Limit to max speed
-        const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.y * player.velocity.y);
-        if (speed > gameConfig.player.speed) {
-            player.velocity.x = (player.velocity.x / speed) * gameConfig.player.speed;
-            player.velocity.y = (player.velocity.y / speed) * gameConfig.player.speed;
+    simulateTick(deltaTime, now) {
+        // Bots pick their input the way a client would send it
+        for (let bot of this.bots.values()) {
+            bot.update(now);
+            if (!this.roundActive) return;
         }
 
-        // Calculate new position
-        let newX = player.x + player.velocity.x * deltaTime;
-        let newY = player.y + player.velocity.y * deltaTime;
+        // Advance tanks from their stored input state
+        const inputs = new Map();
+        for (let [id, player] of this.players) {
+            if (player.alive) inputs.set(id, player.input);
+        }
+        const { events } = Simulation.step(this.gameState, inputs, deltaTime, this.rng);
 
-        const halfSize = gameConfig.player.size / 2;
+        for (let [id, player] of this.players) {
+            if (inputs.has(id)) {
+                player.input.ticks++;
+                this.stats.recordMovement(id, player.x, player.y);
+            }
+            player.input.fire = null;
+            player.input.powerup = null;
+        }
+
+        this.handleSimulationEvents(events);
+    }
 
-        // Check X movement
-        if (newX - halfSize >= 0 && newX + halfSize <= gameConfig.arena.width) {
-            let canMoveX = true;
-            for (let cover of this.gameState.covers) {
-                if (this.checkRectCollision(
-                    { x: newX - halfSize, y: player.y - halfSize, width: gameConfig.player.size, height: gameConfig.player.size },
-                    cover
-                )) {
-                    canMoveX = false;
-                    player.velocity.x = 0;
+    // Turns what the simulation reports into messages, statistics and round results
+    handleSimulationEvents(events) {
+        let eliminated = false;
+        for (let event of events) {
+            switch (event.type) {
+                case 'hit':
+                    this.stats.recordDamageTaken(event.targetId, event.dealt);
+                    if (event.attackerId !== null && event.attackerId !== event.targetId) {
+                        this.stats.recordHit(event.attackerId, event.damage);
+                    }
+                    this.broadcast({
+                        type: 'playerHit',
+                        playerId: event.targetId,
+                        attackerId: event.attackerId,
+                        health: event.health,
+                        damage: event.dealt,
+                        attackerPoints: event.attackerPoints
+                    });
+                    break;
+                case 'eliminated':
+                    this.stats.recordDeath(event.targetId);
+                    if (event.enemyHit) this.stats.recordKill(event.attackerId);
+                    this.broadcast({
+                        type: 'playerEliminated',
+                        playerId: event.targetId,
+                        attackerId: event.attackerId,
+                        kills: event.enemyHit ? this.stats.players.get(event.attackerId).kills : null
+                    });
+                    eliminated = true;
+                    break;
+                case 'shot':
+                    this.stats.recordShot(event.tankId);
+                    this.broadcastShot(event);
+                    break;
+                case 'powerupActivated':
+                    this.confirmPowerup(event);
+                    break;
+                case 'explosion':
+                    this.gameState.explosions.push({ x: event.x, y: event.y, radius: event.radius });
+                    this.recordEvent(event);
+                    break;
+                case 'coverDamaged':
+                    this.gameState.coverChanges.damaged.add(event.id);
+                    break;
+                case 'coverDestroyed':
+                    this.invalidateNavGrid();
+                    this.gameState.coverChanges.destroyed.push(event.id);
+                    this.gameState.coverChanges.fragments.push(...event.fragments);
+                    break;
+                case 'pickupSpawned':
+                    this.recordEvent(event);
+                    break;
+                case 'pickupCollected': {
+                    const player = this.players.get(event.collectorId);
+                    this.stats.recordPickup(player.id);
+                    player.knownPickups.delete(event.id);
+                    this.sendTo(player, event);
+                    this.recordEvent(event);
                     break;
                 }
             }
-            if (canMoveX) {
-                player.x = newX;
-                this.stats.recordMovement(playerId, newX, player.y);
+        }
+
+        // The match ends once one side is left
+        if (eliminated) this.checkForWinner();
+    }
+
+    startSuddenDeath(now) {
+        const rule = this.settings.suddenDeath;
+
+        if (rule === 'health') {
+            // Most remaining health takes the round, summed up per team
+            const totals = new Map();
+            for (let player of this.players.values()) {
+                if (!player.alive) continue;
+                const side = this.getSide(player);
+                totals.set(side, (totals.get(side) || 0) + player.health);
             }
-        } else {
-            player.velocity.x = 0;
-        }
-
-        // Check Y movement separately for sliding collision
-        if (newY - halfSize >= 0 && newY + halfSize <= gameConfig.arena.height) {
-            let canMoveY = true;
-            for (let cover of this.gameState.covers) {
-                if (this.checkRectCollision(
-                    { x: player.x - halfSize, y: newY - halfSize, width: gameConfig.player.size, height: gameConfig.player.size },
-                    cover
-                )) {
-                    canMoveY = false;
-                    player.velocity.y = 0;
-                    break;
+
+            let winningSide = null;
+            let bestHealth = -1;
+            let tie = false;
+            for (let [side, health] of totals) {
+                if (health > bestHealth) {
+                    winningSide = side;
+                    bestHealth = health;
+                    tie = false;
+                } else if (health === bestHealth) {
+                    tie = true;
                 }
             }
-            if (canMoveY) {
-                player.y = newY;
-                this.stats.recordMovement(playerId, player.x, newY);
-            }
-        } else {
-            player.velocity.y = 0;
-        }
 
-        // Update rotation based on movement direction
-        if (Math.abs(player.velocity.x) > 1 || Math.abs(player.velocity.y) > 1) {
-            player.rotation = Math.atan2(player.velocity.y, player.velocity.x);
+            this.suddenDeath = { rule };
+            this.broadcast({ type: 'suddenDeath', suddenDeath: this.suddenDeath });
+            this.endRound(tie ? null : winningSide);
+            return;
         }
+
+        // A safe zone closes in on the arena center
+        this.suddenDeath = {
+            rule: 'zone',
+            x: this.map.width / 2,
+            y: this.map.height / 2,
+            startRadius: Math.sqrt(
+                Math.pow(this.map.width, 2) + 
+                Math.pow(this.map.height, 2)
+            ) / 2,
+            startTime: now,
+            shrinkMs: gameConfig.rounds.suddenDeath.zoneShrinkMs,
+            startTick: this.gameState.tick,
+            shrinkTicks: msToTicks(gameConfig.rounds.suddenDeath.zoneShrinkMs)
+        };
+        this.gameState.zone = this.suddenDeath;
+        this.broadcast({ type: 'suddenDeath', suddenDeath: this.suddenDeath });
+    }
+
+    getZoneRadius() {
+        return Simulation.getZoneRadius(this.suddenDeath, this.gameState.tick);
     }
 
-    handlePlayerAim(playerId, mouseX, mouseY) {
+    handlePlayerInput(playerId, input) {
         const player = this.players.get(playerId);
         if (!player) return;
 
-        const angle = Math.atan2(mouseY - player.y, mouseX - player.x);
-        player.rotation = angle;
+        // Ignore duplicated or reordered input updates
+        // Sequence numbers travel as unsigned 32-bit integers in snapshots
+        const seq = Number(input.seq);
+        if (!Number.isInteger(seq) || seq < 0 || seq > 0xFFFFFFFF || seq <= player.input.seq) return;
+
+        // Clamp direction to a unit vector so a client cannot move faster
+        let dx = Number(input.dx) || 0;
+        let dy = Number(input.dy) || 0;
+        const magnitude = Math.sqrt(dx * dx + dy * dy);
+        if (magnitude > 1) {
+            dx /= magnitude;
+            dy /= magnitude;
+        }
+
+        player.input.seq = seq;
+        player.input.ticks = 0;
+        player.input.dx = dx;
+        player.input.dy = dy;
+
+        if (Number.isFinite(input.aimX) && Number.isFinite(input.aimY)) {
+            player.input.aimX = input.aimX;
+            player.input.aimY = input.aimY;
+        }
     }
 
-    handlePlayerShoot(playerId, targetX, targetY) {
+    handlePlayerShoot(playerId, targetX, targetY, viewTick) {
         const player = this.players.get(playerId);
-        if (!player || player.reloading) return;
+        if (!player || !player.alive || player.reloading || !this.roundActive) return;
 
-        const now = Date.now();
-        const powerupType = player.nextShotType;
-        
-        // Reset powerup after use
-        player.nextShotType = null;
-        
-        // Set reload state
-        player.lastShot = now;
-        player.reloading = true;
-        player.reloadProgress = 0;
-        
-        // Record shot
-        this.stats.recordShot(playerId);
+        // Fired by the next tick, resolved against the positions at viewTick
+        player.input.fire = { viewTick: viewTick, targetX: targetX, targetY: targetY };
+    }
 
-        const angle = Math.atan2(targetY - player.y, targetX - player.x);
-        
-        // Handle instant laser
-        if (powerupType === 'laser') {
-            this.shootLaser(player, angle, targetX, targetY);
-            
-            // Send immediate projectile feedback
+    // The simulation fired a shot, show it to everyone right away
+    broadcastShot(shot) {
+        if (shot.shotType === 'laser') {
             this.broadcast({
                 type: 'instantProjectile',
                 projectile: {
                     type: 'laser',
-                    startX: player.x,
-                    startY: player.y,
-                    endX: targetX,
-                    endY: targetY,
+                    startX: shot.x,
+                    startY: shot.y,
+                    endX: shot.impact.x,
+                    endY: shot.impact.y,
                     color: '#00ff00'
                 }
             });
-        } else {
-            // Normal or explosive projectile
-            const speed = powerupType === 'explosive' ? 
-                gameConfig.powerups.explosive.speed : 
-                gameConfig.projectile.speed;
-            
-            const projectile = {
-                id: uuidv4(),
-                ownerId: playerId,
-                x: player.x + Math.cos(angle) * gameConfig.player.size,
-                y: player.y + Math.sin(angle) * gameConfig.player.size,
-                vx: Math.cos(angle) * speed,
-                vy: Math.sin(angle) * speed,
-                damage: this.getProjectileDamage(powerupType),
-                type: powerupType,
-                color: this.getProjectileColor(powerupType),
-                createdAt: now,
-                exploded: false
-            };
-
-            this.gameState.projectiles.push(projectile);
-            
-            // Calculate flight time
-            const distance = Math.sqrt(
-                Math.pow(targetX - projectile.x, 2) + 
-                Math.pow(targetY - projectile.y, 2)
-            );
-            const flightTime = distance / speed;
-            
-            // Send immediate projectile creation event with target info
-            this.broadcast({
-                type: 'projectileCreated',
-                projectile: {
-                    x: projectile.x,
-                    y: projectile.y,
-                    vx: projectile.vx,
-                    vy: projectile.vy,
-                    type: projectile.type,
-                    color: projectile.color,
-                    targetX: targetX,
-                    targetY: targetY,
-                    flightTime: flightTime
-                }
-            });
+            return;
         }
-    }
 
-    shootLaser(player, angle, targetX, targetY) {
-        const maxDistance = Math.sqrt(
-            Math.pow(gameConfig.arena.width, 2) + 
-            Math.pow(gameConfig.arena.height, 2)
+        const projectile = shot.projectile;
+        projectile.color = this.getProjectileColor(shot.shotType);
+
+        // Calculate flight time to the click distance along the barrel
+        const speed = Simulation.getProjectileSpeed(gameConfig, shot.shotType);
+        const distance = Math.sqrt(
+            Math.pow(shot.targetX - shot.x, 2) + 
+            Math.pow(shot.targetY - shot.y, 2)
         );
-        
-        // Raycast to find what laser hits
-        const steps = 100;
-        const stepDistance = maxDistance / steps;
-        
-        for (let i = 1; i <= steps; i++) {
-            const checkX = player.x + Math.cos(angle) * stepDistance * i;
-            const checkY = player.y + Math.sin(angle) * stepDistance * i;
-            
-            // Check boundaries
-            if (checkX < 0 || checkX > gameConfig.arena.width || 
-                checkY < 0 || checkY > gameConfig.arena.height) {
-                break;
-            }
-            
-            // Check cover collision
-            let hitCover = false;
-            for (let cover of this.gameState.covers) {
-                if (checkX >= cover.x && checkX <= cover.x + cover.width &&
-                    checkY >= cover.y && checkY <= cover.y + cover.height) {
-                    hitCover = true;
-                    break;
-                }
+        const flightTime = distance / speed;
+
+        // Send immediate projectile creation event with target info
+        this.broadcast({
+            type: 'projectileCreated',
+            projectile: {
+                x: projectile.x,
+                y: projectile.y,
+                vx: projectile.vx,
+                vy: projectile.vy,
+                type: projectile.type,
+                color: projectile.color,
+                targetX: shot.x + Math.cos(shot.angle) * distance,
+                targetY: shot.y + Math.sin(shot.angle) * distance,
+                flightTime: flightTime
             }
-            if (hitCover) break;
-            
-            // Check player collision
-            for (let [id, targetPlayer] of this.players) {
-                if (id === player.id) continue;
-                
-                const distance = Math.sqrt(
-                    Math.pow(checkX - targetPlayer.x, 2) + 
-                    Math.pow(checkY - targetPlayer.y, 2)
-                );
-                
-                if (distance <= gameConfig.player.size / 2) {
-                    this.hitPlayer(id, gameConfig.powerups.laser.damage, player.id);
-                    this.stats.recordHit(player.id, gameConfig.powerups.laser.damage);
-                    return;
-                }
+        });
+    }
+
+    createPowerupStates(loadout) {
+        return new Map(loadout.map(id => [id, { uses: 0, readyTick: 0, activeUntil: null }]));
+    }
+
+    canUsePowerup(player, id) {
+        const state = player.powerups && player.powerups.get(id);
+        if (!state) return false;
+
+        const config = gameConfig.powerups[id];
+        return state.uses < config.usesPerRound && 
+               this.gameState.tick >= state.readyTick && 
+               player.points >= config.cost;
+    }
+
+    // Slots (1-based) that cannot be bought right now regardless of points
+    getLockedPowerups(player) {
+        const locked = [];
+        player.loadout.forEach((id, index) => {
+            const state = player.powerups && player.powerups.get(id);
+            if (!state || state.uses >= gameConfig.powerups[id].usesPerRound || 
+                this.gameState.tick < state.readyTick) {
+                locked.push(index + 1);
             }
-        }
+        });
+        return locked;
     }
 
-    handlePowerup(playerId, powerupNum) {
+    handlePowerup(playerId, slot) {
         const player = this.players.get(playerId);
         if (!player) return { success: false, error: 'Player not found' };
-        
-        // Check if already used
-        if (player.usedPowerups.has(powerupNum)) {
-            return { success: false, error: 'Powerup already used' };
-        }
-        
-        // Check points
-        if (player.points < 20) {
-            return { success: false, error: 'Not enough points' };
-        }
-
-        // Deduct points and mark as used
-        player.points -= 20;
-        player.usedPowerups.add(powerupNum);
-        this.stats.recordPowerupUse(playerId);
-
-        let success = true;
-        switch(powerupNum) {
-            case 1: // Laser
-                player.nextShotType = 'laser';
-                break;
-            case 2: // Explosive
-                player.nextShotType = 'explosive';
-                break;
-            case 3: // Shield
-                player.shield = gameConfig.powerups.shield.absorption;
-                setTimeout(() => { 
-                    if (this.players.has(playerId)) {
-                        player.shield = 0;
-                    }
-                }, gameConfig.powerups.shield.duration);
-                break;
-            default:
-                success = false;
-        }
-
-        if (success) {
-            // Send confirmation to player
-            if (player.ws.readyState === WebSocket.OPEN) {
-                player.ws.send(JSON.stringify({
-                    type: 'powerupConfirmed',
-                    powerupNum: powerupNum,
-                    newPoints: player.points,
-                    usedPowerups: Array.from(player.usedPowerups)
-                }));
-            }
-        }
 
-        return { success };
+        const error = Simulation.getPowerupError(this.gameState, player, slot);
+        if (error) return { success: false, error: error };
+
+        // Bought by the next tick, ahead of a shot asked for in the same tick
+        player.input.powerup = slot;
+        return { success: true };
+    }
+
+    confirmPowerup(event) {
+        const player = this.players.get(event.tankId);
+        this.stats.recordPowerupUse(event.tankId);
+        this.sendTo(player, {
+            type: 'powerupConfirmed',
+            powerup: event.powerup,
+            slot: event.slot,
+            shotType: event.shotType,
+            newPoints: player.points,
+            lockedPowerups: this.getLockedPowerups(player)
+        });
     }
 
     handleRematchVote(playerId) {
@@ -836,15 +2766,20 @@ class GameRoom {
 
         this.rematchVotes.add(playerId);
 
+        // Bots are always up for another match
+        for (let botId of this.bots.keys()) {
+            this.rematchVotes.add(botId);
+        }
+
         // Notify all players about rematch vote
         this.broadcast({
             type: 'rematchVote',
             votes: this.rematchVotes.size,
-            required: 2
+            required: this.players.size
         });
 
-        // If both players voted, start new game
-        if (this.rematchVotes.size === 2) {
+        // If everybody still in the room voted, start new game
+        if (this.rematchVotes.size === this.players.size && this.players.size >= gameConfig.room.minPlayers) {
             // Reset stats
             this.stats = new GameStatistics();
             Array.from(this.players.values()).forEach(player => {
@@ -862,129 +2797,169 @@ class GameRoom {
         return { success: true };
     }
 
-    getProjectileDamage(type) {
-        switch(type) {
-            case 'laser': return gameConfig.powerups.laser.damage;
-            case 'explosive': return gameConfig.powerups.explosive.damage;
-            default: return gameConfig.projectile.damage;
-        }
-    }
-
     getProjectileColor(type) {
         switch(type) {
             case 'laser': return '#00ff00';
             case 'explosive': return '#ff6600';
+            case 'ricochet': return '#ff00ff';
             default: return '#ffff00';
         }
     }
 
-    explode(x, y, ownerId) {
-        const radius = gameConfig.powerups.explosive.radius;
-        
-        // Add explosion to state for visual
-        this.gameState.explosions.push({ x, y, radius });
-        
-        // Damage players in radius
-        for (let [id, player] of this.players) {
-            const distance = Math.sqrt(
-                Math.pow(player.x - x, 2) + 
-                Math.pow(player.y - y, 2)
-            );
-            if (distance <= radius) {
-                const damage = Math.floor(
-                    gameConfig.powerups.explosive.damage * (1 - distance / radius)
-                );
-                if (damage > 0) {
-                    this.hitPlayer(id, damage, ownerId);
-                    if (id !== ownerId) {
-                        this.stats.recordHit(ownerId, damage);
-                    }
+    createCoverChanges() {
+        return { damaged: new Set(), destroyed: [], fragments: [] };
+    }
+
+    flushCoverChanges() {
+        const changes = this.gameState.coverChanges;
+        if (changes.damaged.size === 0 && changes.destroyed.length === 0) return;
+
+        // Fragments broken again within the same tick never reach the client
+        this.broadcast({
+            type: 'coversChanged',
+            fragments: changes.fragments
+                .filter(cover => this.gameState.covers.includes(cover))
+                .map(cover => ({ ...cover, health: Math.ceil(cover.health) })),
+            destroyed: changes.destroyed,
+            damaged: this.gameState.covers
+                .filter(cover => changes.damaged.has(cover.id))
+                .map(cover => ({ id: cover.id, health: Math.ceil(cover.health) }))
+        });
+        this.gameState.coverChanges = this.createCoverChanges();
+    }
+
+    // Clients only learn what happens at a pickup spot while they can see it,
+    // so a pickup shows up, or vanishes once taken, when its spot comes into view
+    flushPickups() {
+        for (let player of this.players.values()) {
+            if (player.isBot) continue;
+
+            for (let pickup of this.gameState.pickups) {
+                const knownType = player.knownPickups.get(pickup.id) || null;
+                const actualType = pickup.active ? pickup.type : null;
+                if (knownType === actualType || !this.canSeePoint(player, pickup.x, pickup.y)) continue;
+
+                if (actualType) {
+                    player.knownPickups.set(pickup.id, actualType);
+                    this.sendTo(player, {
+                        type: 'pickupSpawned',
+                        pickup: { id: pickup.id, type: actualType, x: pickup.x, y: pickup.y }
+                    });
+                } else {
+                    player.knownPickups.delete(pickup.id);
+                    this.sendTo(player, { type: 'pickupCollected', id: pickup.id });
                 }
             }
         }
+    }
+
+    getSide(player) {
+        return this.settings.mode === 'teams' ? player.team : player.id;
+    }
+
+    getSides(players) {
+        return Array.from(new Set(players.map(p => this.getSide(p))));
+    }
+
+    checkForWinner() {
+        if (!this.gameState.started) return;
+
+        // A side that left the room entirely forfeits the match
+        const remainingSides = this.getSides(Array.from(this.players.values()));
+        if (remainingSides.length <= 1) {
+            this.endMatch(remainingSides.length === 1 ? remainingSides[0] : null);
+            return;
+        }
 
-        // Damage or destroy covers
-        this.gameState.covers = this.gameState.covers.filter(cover => {
-            const closestX = Math.max(cover.x, Math.min(x, cover.x + cover.width));
-            const closestY = Math.max(cover.y, Math.min(y, cover.y + cover.height));
-            const distance = Math.sqrt(
-                Math.pow(x - closestX, 2) + 
-                Math.pow(y - closestY, 2)
-            );
-            
-            if (distance < radius) {
-                return false;
-            }
-            return true;
-        });
+        if (!this.roundActive) return;
+
+        const aliveSides = this.getSides(Array.from(this.players.values()).filter(p => p.alive));
+        if (aliveSides.length <= 1) {
+            this.endRound(aliveSides.length === 1 ? aliveSides[0] : null);
+        }
     }
 
-    hitPlayer(playerId, damage, attackerId) {
-        const player = this.players.get(playerId);
-        const attacker = this.players.get(attackerId);
-        if (!player) return;
+    endRound(winningSide) {
+        this.roundActive = false;
+        if (this.updateInterval) {
+            clearInterval(this.updateInterval);
+            this.updateInterval = null;
+        }
 
-        // Apply shield first
-        let actualDamage = damage;
-        if (player.shield > 0) {
-            const absorbed = Math.min(actualDamage, player.shield);
-            player.shield -= absorbed;
-            actualDamage -= absorbed;
+        if (winningSide !== null) {
+            this.roundWins[winningSide] = (this.roundWins[winningSide] || 0) + 1;
         }
+        this.stats.endRound({
+            round: this.round,
+            winner: winningSide,
+            duration: Math.floor((Date.now() - this.roundStartTime) / 1000),
+            suddenDeath: this.suddenDeath ? this.suddenDeath.rule : null
+        });
 
-        player.health -= actualDamage;
-        player.health = Math.max(0, player.health);
-        
-        // Record statistics
-        this.stats.recordDamageTaken(playerId, actualDamage);
-        
-        // Award points to attacker
-        if (attacker && attackerId !== playerId) {
-            attacker.points += actualDamage;
+        // Majority of the best-of rounds decides the match
+        const winsNeeded = Math.ceil(this.settings.bestOf / 2);
+        if (winningSide !== null && this.roundWins[winningSide] >= winsNeeded) {
+            this.endMatch(winningSide);
+            return;
         }
 
-        // Send hit notification
         this.broadcast({
-            type: 'playerHit',
-            playerId: playerId,
-            attackerId: attackerId,
-            health: player.health,
-            damage: actualDamage,
-            attackerPoints: attacker ? attacker.points : 0
+            type: 'roundOver',
+            round: this.round,
+            winner: winningSide,
+            score: this.roundWins,
+            nextRoundIn: gameConfig.rounds.intermissionMs
         });
+        this.spectatorFeed.flush(Date.now());
+        this.roundTimer = setTimeout(() => this.startRound(), gameConfig.rounds.intermissionMs);
+    }
 
-        // Check for game over
-        if (player.health <= 0) {
-            this.stats.recordDeath(playerId);
-            if (attackerId) this.stats.recordKill(attackerId);
-            this.endGame(attackerId);
+    endMatch(winningSide) {
+        if (this.settings.mode === 'teams') {
+            this.endGame(null, winningSide);
+        } else {
+            this.endGame(winningSide);
         }
     }
 
-    endGame(winnerId) {
+    endGame(winnerId, winnerTeam = null) {
         if (this.updateInterval) {
             clearInterval(this.updateInterval);
             this.updateInterval = null;
         }
+        clearTimeout(this.startTimer);
+        clearTimeout(this.roundTimer);
+        this.startTimer = null;
+        this.roundTimer = null;
+        this.roundActive = false;
         
         this.matchEndTime = Date.now();
         const matchDuration = Math.floor((this.matchEndTime - this.matchStartTime) / 1000);
         
         // Get final statistics
         const finalStats = this.stats.getStats();
+        const ratings = this.recordMatchResult(winnerId, winnerTeam, finalStats, matchDuration);
         
         // Send game over with statistics
         this.broadcast({
             type: 'gameOver',
             winner: winnerId,
+            winnerTeam: winnerTeam,
+            mode: this.settings.mode,
             matchDuration: matchDuration,
             statistics: finalStats,
+            ratings: ratings,
+            rounds: this.stats.getRoundStats(),
+            score: this.roundWins,
+            bestOf: this.settings.bestOf,
             finalState: {
                 players: Object.fromEntries(
                     Array.from(this.players.entries()).map(([id, p]) => [
                         id,
                         {
                             name: p.name,
+                            team: p.team,
+                            alive: p.alive,
                             health: p.health,
                             points: p.points
                         }
@@ -992,33 +2967,86 @@ class GameRoom {
                 )
             }
         });
+
+        if (this.recorder) {
+            const winners = Array.from(this.players.values()).filter(p => 
+                winnerTeam !== null ? p.team === winnerTeam : p.id === winnerId
+            );
+            saveReplay(this.recorder.finish({
+                winner: winnerId,
+                winnerTeam: winnerTeam,
+                winnerName: winners.length > 0 ? winners.map(p => p.name).join(' & ') : null,
+                score: this.roundWins
+            }));
+            this.recorder = null;
+        }
+        this.spectatorFeed.flush(this.matchEndTime);
         
         this.gameState.started = false;
     }
 
-    checkProjectileCoverCollision(projectile, cover) {
-        return projectile.x >= cover.x && 
-               projectile.x <= cover.x + cover.width &&
-               projectile.y >= cover.y && 
-               projectile.y <= cover.y + cover.height;
+    // History entry and rating changes for everybody who played with an account
+    recordMatchResult(winnerId, winnerTeam, statistics, duration) {
+        if (!accountStore || this.participants.length === 0) return {};
+
+        const winningSide = winnerTeam !== null ? winnerTeam : winnerId;
+        return accountStore.recordMatch({
+            id: uuidv4(),
+            playedAt: new Date(this.matchEndTime).toISOString(),
+            ranked: this.settings.ranked,
+            mode: this.settings.mode,
+            map: this.map.name,
+            duration: duration,
+            score: this.roundWins,
+            players: this.participants.map(participant => {
+                const side = this.settings.mode === 'teams' ? participant.team : participant.playerId;
+                const stats = statistics[participant.playerId] || {};
+                return {
+                    accountId: participant.accountId,
+                    playerId: participant.playerId,
+                    name: participant.name,
+                    team: participant.team,
+                    side: side,
+                    result: winningSide === null || winningSide === undefined ? 
+                        'draw' : 
+                        (side === winningSide ? 'win' : 'loss'),
+                    left: !this.players.has(participant.playerId),
+                    kills: stats.kills || 0,
+                    deaths: stats.deaths || 0,
+                    damageDealt: stats.totalDamageDealt || 0,
+                    accuracy: stats.accuracy || 0
+                };
+            })
+        });
     }
 
-    checkProjectilePlayerCollision(projectile, player) {
-        const distance = Math.sqrt(
-            Math.pow(projectile.x - player.x, 2) + 
-            Math.pow(projectile.y - player.y, 2)
-        );
-        return distance <= gameConfig.player.size / 2 + gameConfig.projectile.size;
+    sendTo(player, data) {
+        if (player.ws && player.ws.readyState === WebSocket.OPEN) {
+            player.ws.send(JSON.stringify(data));
+        }
+    }
+
+    // Inputs as the client sent them, for replays
+    recordInput(playerId, data) {
+        const player = this.players.get(playerId);
+        if (this.recorder && player) this.recorder.recordInput(player, data);
+    }
+
+    recordEvent(event) {
+        if (this.recorder) this.recorder.recordEvent(event);
+        this.spectatorFeed.recordEvent(event);
     }
 
-    checkRectCollision(rect1, rect2) {
-        return rect1.x < rect2.x + rect2.width &&
-               rect1.x + rect1.width > rect2.x &&
-               rect1.y < rect2.y + rect2.height &&
-               rect1.y + rect1.height > rect2.y;
+    // One capture of the tick serves the replay and the spectators
+    recordTick(now) {
+        if (!this.recorder && !gameConfig.spectators.enabled) return;
+        const frame = captureFrame(this, now, this.matchStartTime);
+        if (this.recorder) this.recorder.recordTick(frame.slice());
+        if (gameConfig.spectators.enabled) this.spectatorFeed.recordTick(frame, now);
     }
 
     broadcast(data) {
+        this.recordEvent(data);
         const message = JSON.stringify(data);
         for (let [id, player] of this.players) {
             if (player.ws && player.ws.readyState === WebSocket.OPEN) {
@@ -1035,22 +3063,440 @@ class GameRoom {
 // Global game rooms
 const gameRooms = new Map();
 const playerRooms = new Map();
+const sessions = new Map(); // Session token -> { playerId, roomCode }
+
+// Ranked Matchmaking
+// Logged in players queue up and are paired with the closest rating inside
+// a window that widens while they wait. A found pair has to accept a ready
+// check, then the matchmaker opens a ranked room for them. Whoever declines
+// or lets the check run out leaves the queue, the other player is queued
+// again without losing the time already waited.
+class Matchmaker {
+    constructor() {
+        this.entries = new Map();      // playerId -> { playerId, ws, account, encoding, onMatched, queuedAt, readyCheck }
+        this.readyChecks = new Map();
+        this.recentWaits = [];
+        this.timer = null;
+    }
+
+    has(playerId) {
+        return this.entries.has(playerId);
+    }
+
+    enqueue(entry) {
+        // One place in the queue per account, even with several tabs open
+        if (Array.from(this.entries.values()).some(other => other.account.id === entry.account.id)) {
+            return false;
+        }
+
+        entry.queuedAt = Date.now();
+        entry.readyCheck = null;
+        this.entries.set(entry.playerId, entry);
+        this.sendStatus(entry, entry.queuedAt);
+        if (!this.timer) {
+            this.timer = setInterval(() => this.update(), gameConfig.matchmaking.intervalMs);
+        }
+        return true;
+    }
+
+    // Leaving during a ready check declines it
+    remove(playerId) {
+        const entry = this.entries.get(playerId);
+        if (!entry) return;
+        if (entry.readyCheck) {
+            this.failReadyCheck(entry.readyCheck, playerId);
+        }
+        this.entries.delete(playerId);
+        this.stopIfEmpty();
+    }
+
+    stopIfEmpty() {
+        if (this.entries.size === 0 && this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getWindow(entry, now) {
+        const { initialWindow, windowGrowthPerSecond, maxWindow } = gameConfig.matchmaking;
+        return Math.min(maxWindow, initialWindow + windowGrowthPerSecond * (now - entry.queuedAt) / 1000);
+    }
+
+    // Average of the last waits, null until somebody was matched
+    getEstimatedWait() {
+        if (this.recentWaits.length === 0) return null;
+        return Math.round(this.recentWaits.reduce((sum, wait) => sum + wait, 0) / this.recentWaits.length);
+    }
+
+    update() {
+        const now = Date.now();
+        const waiting = Array.from(this.entries.values())
+            .filter(entry => !entry.readyCheck)
+            .sort((a, b) => a.queuedAt - b.queuedAt);
+
+        // Longest waiting first, each takes the closest rating both windows allow
+        const paired = new Set();
+        for (let entry of waiting) {
+            if (paired.has(entry)) continue;
+
+            let best = null;
+            let bestDifference = Infinity;
+            for (let other of waiting) {
+                if (other === entry || paired.has(other)) continue;
+                const difference = Math.abs(entry.account.rating - other.account.rating);
+                if (difference > Math.min(this.getWindow(entry, now), this.getWindow(other, now))) continue;
+                if (difference < bestDifference) {
+                    best = other;
+                    bestDifference = difference;
+                }
+            }
+
+            if (best) {
+                paired.add(entry);
+                paired.add(best);
+                this.startReadyCheck([entry, best]);
+            }
+        }
+
+        waiting.filter(entry => !paired.has(entry)).forEach(entry => this.sendStatus(entry, now));
+    }
+
+    sendStatus(entry, now) {
+        this.send(entry, {
+            type: 'queueStatus',
+            waitedMs: now - entry.queuedAt,
+            estimatedWaitMs: this.getEstimatedWait(),
+            ratingWindow: Math.round(this.getWindow(entry, now)),
+            queued: Array.from(this.entries.values()).filter(other => !other.readyCheck).length
+        });
+    }
+
+    startReadyCheck(entries) {
+        const check = { id: uuidv4(), entries: entries, accepted: new Set(), timer: null };
+        entries.forEach(entry => { entry.readyCheck = check; });
+        this.readyChecks.set(check.id, check);
+        check.timer = setTimeout(() => this.failReadyCheck(check, null), gameConfig.matchmaking.readyCheckMs);
+
+        entries.forEach(entry => this.send(entry, {
+            type: 'readyCheck',
+            id: check.id,
+            timeoutMs: gameConfig.matchmaking.readyCheckMs,
+            opponents: entries.filter(other => other !== entry).map(other => ({
+                name: other.account.name,
+                rating: other.account.rating
+            }))
+        }));
+    }
+
+    accept(playerId, checkId) {
+        const entry = this.entries.get(playerId);
+        const check = entry && entry.readyCheck;
+        if (!check || check.id !== checkId) return;
+
+        check.accepted.add(playerId);
+        if (check.accepted.size === check.entries.length) {
+            this.completeReadyCheck(check);
+        }
+    }
+
+    decline(playerId, checkId) {
+        const entry = this.entries.get(playerId);
+        const check = entry && entry.readyCheck;
+        if (!check || check.id !== checkId) return;
+        this.failReadyCheck(check, playerId);
+    }
+
+    // Without a decliner the check ran out and everybody who did not accept leaves
+    failReadyCheck(check, declinedId) {
+        clearTimeout(check.timer);
+        this.readyChecks.delete(check.id);
+
+        check.entries.forEach(entry => {
+            entry.readyCheck = null;
+            const requeued = entry.playerId !== declinedId && (declinedId !== null || check.accepted.has(entry.playerId));
+            if (!requeued) this.entries.delete(entry.playerId);
+            this.send(entry, { type: 'readyCheckFailed', requeued: requeued });
+        });
+        this.stopIfEmpty();
+    }
+
+    // A ranked room does not wait for loadouts forever. Seats start out with
+    // the default loadout, so whoever has not confirmed goes in with that;
+    // if somebody left instead, the others go back to the queue.
+    expireLoadouts(room, check) {
+        room.loadoutTimer = null;
+        if (room.matchStartTime || room.matchEndTime || gameRooms.get(room.code) !== room) return;
+
+        if (room.players.size === room.settings.maxPlayers) {
+            room.players.forEach(player => { player.loadoutConfirmed = true; });
+            room.broadcast(room.getLobbyInfo());
+            startIfFull(room);
+            return;
+        }
+
+        check.entries.filter(entry => room.players.has(entry.playerId)).forEach(entry => {
+            // The seat may have been taken over by a newer connection
+            entry.ws = room.players.get(entry.playerId).ws;
+            leaveRoom(room, entry.playerId);
+            entry.onMatched(null);
+            const requeued = entry.ws.readyState === WebSocket.OPEN && this.enqueue(entry);
+            this.send(entry, { type: 'matchCancelled', requeued: requeued });
+        });
+    }
+
+    completeReadyCheck(check) {
+        clearTimeout(check.timer);
+        this.readyChecks.delete(check.id);
+
+        const now = Date.now();
+        check.entries.forEach(entry => {
+            this.entries.delete(entry.playerId);
+            this.recentWaits.push(now - entry.queuedAt);
+        });
+        this.recentWaits.splice(0, this.recentWaits.length - gameConfig.matchmaking.recentWaits);
+        this.stopIfEmpty();
+
+        const code = generateLobbyCode();
+        const room = new GameRoom(code, check.entries[0].playerId, {
+            map: maps.get(gameConfig.maps.defaultMap),
+            mode: 'ffa',
+            maxPlayers: check.entries.length,
+            bestOf: gameConfig.matchmaking.bestOf,
+            ranked: true
+        });
+        gameRooms.set(code, room);
+
+        check.entries.forEach(entry => {
+            const token = createSession(entry.playerId, code);
+            room.addPlayer(entry.playerId, entry.ws, entry.account.name, {
+                encoding: entry.encoding,
+                sessionToken: token,
+                accountId: entry.account.id
+            });
+            playerRooms.set(entry.playerId, code);
+            entry.onMatched(room);
+            this.send(entry, {
+                type: 'matchFound',
+                lobbyCode: code,
+                playerId: entry.playerId,
+                sessionToken: token,
+                loadoutMs: gameConfig.matchmaking.loadoutMs
+            });
+        });
+        room.broadcast(room.getLobbyInfo());
+        room.loadoutTimer = setTimeout(() => this.expireLoadouts(room, check), gameConfig.matchmaking.loadoutMs);
+        console.log(`Ranked match ${code}: ${check.entries.map(entry => entry.account.name).join(' vs ')}`);
+    }
+
+    send(entry, data) {
+        if (entry.ws.readyState === WebSocket.OPEN) {
+            entry.ws.send(JSON.stringify(data));
+        }
+    }
+}
+
+const matchmaker = new Matchmaker();
+
+// HTTP API
+// Finished matches can be listed and downloaded next to the WebSocket,
+// the page is served elsewhere so every response allows any origin.
+server.on('request', (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+        res.writeHead(405, { 'Content-Type': 'text/plain' });
+        res.end('Method not allowed');
+        return;
+    }
+
+    if (url.pathname === '/replays') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(replayIndex));
+        return;
+    }
+
+    if (accountStore && url.pathname === '/leaderboard') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(accountStore.getLeaderboard()));
+        return;
+    }
+
+    // Profile at /players/<id>, newest matches first at /players/<id>/matches?limit=
+    const profile = accountStore && url.pathname.match(/^\/players\/([\w-]+)(\/matches)?$/);
+    if (profile) {
+        const account = accountStore.accounts.get(profile[1]);
+        if (!account) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+            return;
+        }
+        const limit = Math.max(1, Math.min(50, parseInt(url.searchParams.get('limit')) || 10));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(profile[2] ? 
+            accountStore.getHistory(account.id, limit) : 
+            accountStore.getProfile(account)));
+        return;
+    }
+
+    const match = url.pathname.match(/^\/replays\/([\w-]+)$/);
+    const entry = match && replayIndex.find(replay => replay.id === match[1]);
+    if (!entry) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
+    // Stored gzipped, browsers unpack it on the fly
+    const headers = {
+        'Content-Type': 'application/json',
+        'Content-Encoding': 'gzip',
+        'Content-Length': entry.size
+    };
+    if (url.searchParams.has('download')) {
+        headers['Content-Disposition'] = `attachment; filename="${entry.id}.json"`;
+    }
+    const stream = fs.createReadStream(path.join(gameConfig.replays.directory, `${entry.id}.json.gz`));
+    stream.on('open', () => {
+        res.writeHead(200, headers);
+        stream.pipe(res);
+    });
+    stream.on('error', () => {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+    });
+});
 
 // WebSocket connection handler
 wss.on('connection', (ws) => {
-    const playerId = uuidv4();
+    let playerId = uuidv4();
     let playerName = 'Spieler';
     let currentRoom = null;
+    let spectatedRoom = null;
+    let account = null;
+    let encoding = 'json';
 
     console.log(`Player connected: ${playerId}`);
 
+    // Name for a lobby, an account name cannot be changed per lobby
+    function getPlayerName(data) {
+        if (account) return account.name;
+        return cleanPlayerName(data.playerName) || playerName;
+    }
+
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
             
             switch(data.type) {
+                case 'hello':
+                    if (data.protocol !== PROTOCOL_VERSION) {
+                        ws.send(JSON.stringify({ 
+                            type: 'error', 
+                            message: 'Veraltete Spielversion, bitte Seite neu laden' 
+                        }));
+                        break;
+                    }
+                    encoding = data.encoding === 'binary' ? 'binary' : 'json';
+                    ws.send(JSON.stringify({
+                        type: 'welcome',
+                        protocol: PROTOCOL_VERSION,
+                        encoding: encoding,
+                        maps: Array.from(maps.values()).map(map => ({
+                            id: map.id,
+                            name: map.name,
+                            width: map.width,
+                            height: map.height,
+                            maxPlayers: map.spawnPoints.length
+                        })),
+                        defaultMap: gameConfig.maps.defaultMap,
+                        loadout: {
+                            slots: gameConfig.loadout.slots,
+                            budget: gameConfig.loadout.budget,
+                            defaultPowerups: gameConfig.loadout.powerups,
+                            defaultChassis: gameConfig.loadout.defaultChassis,
+                            powerups: Object.keys(Simulation.POWERUPS).map(id => ({ 
+                                id: id, 
+                                loadoutCost: gameConfig.powerups[id].loadoutCost 
+                            })),
+                            chassis: Object.entries(gameConfig.loadout.chassis).map(([id, chassis]) => ({ 
+                                id: id, 
+                                ...chassis 
+                            }))
+                        }
+                    }));
+                    break;
+
                 case 'setName':
-                    playerName = data.name || 'Spieler';
+                    // Logged in players play under their account name
+                    if (!account) playerName = cleanPlayerName(data.name) || 'Spieler';
+                    break;
+
+                case 'register':
+                case 'login':
+                    if (!accountStore) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Konten sind deaktiviert' }));
+                        break;
+                    }
+                    if (currentRoom) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
+                        break;
+                    }
+
+                    const onLogin = (error, loggedIn) => {
+                        if (error) {
+                            ws.send(JSON.stringify({ type: 'error', message: error }));
+                            return;
+                        }
+                        account = loggedIn;
+                        playerName = account.name;
+                        ws.send(JSON.stringify({
+                            type: 'loggedIn',
+                            account: accountStore.getProfile(account),
+                            deviceToken: data.deviceToken || accountStore.issueDeviceToken(account)
+                        }));
+                    };
+
+                    if (data.type === 'register') {
+                        accountStore.register(data.name, data.password, onLogin);
+                    } else if (data.deviceToken) {
+                        // A forgotten device only clears the stored token, no error
+                        const tokenAccount = accountStore.loginWithToken(data.deviceToken);
+                        if (tokenAccount) {
+                            onLogin(null, tokenAccount);
+                        } else {
+                            ws.send(JSON.stringify({ type: 'loginFailed' }));
+                        }
+                    } else {
+                        accountStore.login(data.name, data.password, onLogin);
+                    }
+                    break;
+
+                case 'logout':
+                    if (!account || currentRoom) break;
+                    matchmaker.remove(playerId);
+                    accountStore.revokeDeviceToken(data.deviceToken);
+                    account = null;
+                    ws.send(JSON.stringify({ type: 'loggedOut' }));
+                    break;
+
+                case 'resume':
+                    if (currentRoom) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
+                        break;
+                    }
+
+                    const session = sessions.get(data.token);
+                    const resumeRoom = session && gameRooms.get(session.roomCode);
+                    if (!resumeRoom || !resumeRoom.resumePlayer(session.playerId, ws, encoding)) {
+                        ws.send(JSON.stringify({ type: 'resumeFailed' }));
+                        break;
+                    }
+
+                    // Take over the seat of the dropped connection
+                    playerId = session.playerId;
+                    currentRoom = resumeRoom;
+                    console.log(`Player resumed: ${playerId}`);
                     break;
 
                 case 'createLobby':
@@ -1058,10 +3504,35 @@ wss.on('connection', (ws) => {
                         ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
                         break;
                     }
+                    if (matchmaker.has(playerId)) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in der Warteschlange' }));
+                        break;
+                    }
+                    
+                    const map = maps.get(data.map || gameConfig.maps.defaultMap);
+                    if (!map) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Karte nicht gefunden' }));
+                        break;
+                    }
                     
                     const lobbyCode = generateLobbyCode();
-                    const room = new GameRoom(lobbyCode, playerId);
-                    room.addPlayer(playerId, ws, data.playerName || playerName);
+                    const room = new GameRoom(lobbyCode, playerId, {
+                        map: map,
+                        maxRewindMs: data.maxRewindMs,
+                        mode: data.mode,
+                        maxPlayers: data.maxPlayers,
+                        friendlyFire: data.friendlyFire,
+                        bestOf: data.bestOf,
+                        roundTimeLimit: data.roundTimeLimit,
+                        suddenDeath: data.suddenDeath,
+                        botDifficulty: data.botDifficulty
+                    });
+                    const hostToken = createSession(playerId, lobbyCode);
+                    room.addPlayer(playerId, ws, getPlayerName(data), { 
+                        encoding, 
+                        sessionToken: hostToken,
+                        accountId: account && account.id
+                    });
                     
                     gameRooms.set(lobbyCode, room);
                     playerRooms.set(playerId, lobbyCode);
@@ -1069,13 +3540,12 @@ wss.on('connection', (ws) => {
                     
                     ws.send(JSON.stringify({
                         type: 'lobbyCreated',
-                        lobbyCode: lobbyCode
+                        lobbyCode: lobbyCode,
+                        playerId: playerId,
+                        sessionToken: hostToken
                     }));
                     
-                    ws.send(JSON.stringify({
-                        type: 'lobbyUpdate',
-                        players: room.players.size
-                    }));
+                    ws.send(JSON.stringify(room.getLobbyInfo()));
                     break;
 
                 case 'joinLobby':
@@ -1083,6 +3553,10 @@ wss.on('connection', (ws) => {
                         ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
                         break;
                     }
+                    if (matchmaker.has(playerId)) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in der Warteschlange' }));
+                        break;
+                    }
                     
                     const joinRoom = gameRooms.get(data.lobbyCode);
                     if (!joinRoom) {
@@ -1090,57 +3564,147 @@ wss.on('connection', (ws) => {
                         break;
                     }
                     
-                    if (joinRoom.players.size >= 2) {
+                    if (joinRoom.gameState.started || joinRoom.matchEndTime) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Spiel läuft bereits' }));
+                        break;
+                    }
+
+                    if (joinRoom.settings.ranked) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Gewertete Spiele werden über die Warteschlange vergeben' }));
+                        break;
+                    }
+
+                    if (joinRoom.players.size >= joinRoom.settings.maxPlayers) {
                         ws.send(JSON.stringify({ type: 'error', message: 'Lobby ist voll' }));
                         break;
                     }
+
+                    // A second tab of the same account would be rated against itself
+                    if (account && joinRoom.hasAccount(account.id)) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Dieses Konto ist bereits in der Lobby' }));
+                        break;
+                    }
                     
-                    joinRoom.addPlayer(playerId, ws, data.playerName || playerName);
+                    const joinToken = createSession(playerId, data.lobbyCode);
+                    joinRoom.addPlayer(playerId, ws, getPlayerName(data), { 
+                        encoding, 
+                        sessionToken: joinToken,
+                        accountId: account && account.id
+                    });
                     playerRooms.set(playerId, data.lobbyCode);
                     currentRoom = joinRoom;
                     
                     ws.send(JSON.stringify({
                         type: 'lobbyJoined',
-                        lobbyCode: data.lobbyCode
+                        lobbyCode: data.lobbyCode,
+                        playerId: playerId,
+                        sessionToken: joinToken
                     }));
                     
                     // Notify all players
-                    joinRoom.broadcast({
-                        type: 'lobbyUpdate',
-                        players: joinRoom.players.size
-                    });
+                    joinRoom.broadcast(joinRoom.getLobbyInfo());
                     
-                    // Start game if room is full
-                    if (joinRoom.players.size === 2) {
-                        setTimeout(() => joinRoom.startGame(), 1000);
+                    startIfFull(joinRoom);
+                    break;
+
+                case 'addBot':
+                    // Only the host fills empty seats with bots, before the match
+                    if (!currentRoom || currentRoom.host !== playerId) break;
+                    if (currentRoom.gameState.started || currentRoom.matchEndTime || currentRoom.settings.ranked) break;
+                    if (!currentRoom.addBot()) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Lobby ist voll' }));
+                        break;
+                    }
+                    currentRoom.broadcast(currentRoom.getLobbyInfo());
+                    startIfFull(currentRoom);
+                    break;
+
+                case 'setLoadout':
+                    if (!currentRoom) break;
+                    const loadoutResult = currentRoom.setLoadout(playerId, data);
+                    if (!loadoutResult.success) {
+                        ws.send(JSON.stringify({ type: 'error', message: loadoutResult.error }));
+                        break;
+                    }
+                    ws.send(JSON.stringify({ type: 'loadoutConfirmed', loadout: loadoutResult.loadout }));
+                    currentRoom.broadcast(currentRoom.getLobbyInfo());
+                    startIfFull(currentRoom);
+                    break;
+
+                case 'startMatch':
+                    // The host may start before the room is full
+                    if (!currentRoom || currentRoom.host !== playerId) break;
+                    if (!currentRoom.allLoadoutsConfirmed()) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Noch nicht alle Spieler bereit' }));
+                    } else if (!currentRoom.startGame()) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Noch nicht genug Spieler' }));
+                    }
+                    break;
+
+                case 'queueRanked':
+                    if (!gameConfig.matchmaking.enabled) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Gewertete Spiele sind deaktiviert' }));
+                        break;
+                    }
+                    if (!account) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Für gewertete Spiele bitte anmelden' }));
+                        break;
+                    }
+                    if (currentRoom || spectatedRoom) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
+                        break;
+                    }
+
+                    const queued = matchmaker.enqueue({
+                        playerId: playerId,
+                        ws: ws,
+                        account: account,
+                        encoding: encoding,
+                        onMatched: room => { currentRoom = room; }
+                    });
+                    if (!queued) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in der Warteschlange' }));
+                    }
+                    break;
+
+                case 'leaveQueue':
+                    if (matchmaker.has(playerId)) {
+                        matchmaker.remove(playerId);
+                        ws.send(JSON.stringify({ type: 'queueLeft' }));
                     }
                     break;
 
+                case 'acceptMatch':
+                    matchmaker.accept(playerId, data.id);
+                    break;
+
+                case 'declineMatch':
+                    matchmaker.decline(playerId, data.id);
+                    break;
+
                 case 'leaveLobby':
                     if (currentRoom) {
-                        currentRoom.removePlayer(playerId);
-                        playerRooms.delete(playerId);
-                        
-                        if (currentRoom.players.size === 0) {
-                            gameRooms.delete(currentRoom.code);
-                        } else {
-                            currentRoom.broadcast({
-                                type: 'lobbyUpdate',
-                                players: currentRoom.players.size
-                            });
-                        }
-                        
+                        leaveRoom(currentRoom, playerId);
                         currentRoom = null;
                     }
                     break;
 
                 case 'getLobbies':
+                    // Open lobbies to join and running matches to watch
                     const lobbies = Array.from(gameRooms.values())
-                        .filter(room => !room.gameState.started && room.players.size < 2)
+                        .filter(room => room.gameState.started ? 
+                            gameConfig.spectators.enabled : 
+                            !room.settings.ranked && !room.matchEndTime && room.players.size < room.settings.maxPlayers)
                         .map(room => ({
                             code: room.code,
                             name: `Lobby ${room.code}`,
-                            players: room.players.size
+                            players: room.players.size,
+                            maxPlayers: room.settings.maxPlayers,
+                            mode: room.settings.mode,
+                            map: room.map.name,
+                            inProgress: room.gameState.started,
+                            ranked: room.settings.ranked,
+                            spectators: room.spectatorFeed.spectators.size
                         }));
                     
                     ws.send(JSON.stringify({
@@ -1149,26 +3713,60 @@ wss.on('connection', (ws) => {
                     }));
                     break;
 
-                case 'move':
+                case 'spectate':
+                    if (currentRoom || spectatedRoom) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Bereits in einer Lobby' }));
+                        break;
+                    }
+
+                    const watchRoom = gameRooms.get(data.lobbyCode);
+                    if (!watchRoom) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Lobby nicht gefunden' }));
+                        break;
+                    }
+                    if (!gameConfig.spectators.enabled) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Zuschauen ist deaktiviert' }));
+                        break;
+                    }
+                    if (!watchRoom.gameState.started && !watchRoom.matchEndTime) {
+                        ws.send(JSON.stringify({ type: 'error', message: 'Spiel hat noch nicht begonnen' }));
+                        break;
+                    }
+
+                    watchRoom.spectatorFeed.addSpectator(playerId, ws);
+                    spectatedRoom = watchRoom;
+                    break;
+
+                case 'leaveSpectate':
+                    if (spectatedRoom) {
+                        spectatedRoom.spectatorFeed.removeSpectator(playerId);
+                        spectatedRoom = null;
+                    }
+                    break;
+
+                case 'input':
                     if (currentRoom && currentRoom.gameState.started) {
-                        currentRoom.handlePlayerMove(playerId, data.dx, data.dy, data.deltaTime);
+                        currentRoom.recordInput(playerId, data);
+                        currentRoom.handlePlayerInput(playerId, data);
                     }
                     break;
 
-                case 'aim':
+                case 'ack':
                     if (currentRoom && currentRoom.gameState.started) {
-                        currentRoom.handlePlayerAim(playerId, data.mouseX, data.mouseY);
+                        currentRoom.handleSnapshotAck(playerId, data.tick);
                     }
                     break;
 
                 case 'shoot':
                     if (currentRoom && currentRoom.gameState.started) {
-                        currentRoom.handlePlayerShoot(playerId, data.targetX, data.targetY);
+                        currentRoom.recordInput(playerId, data);
+                        currentRoom.handlePlayerShoot(playerId, data.targetX, data.targetY, data.viewTick);
                     }
                     break;
 
                 case 'usePowerup':
                     if (currentRoom && currentRoom.gameState.started) {
+                        currentRoom.recordInput(playerId, data);
                         const result = currentRoom.handlePowerup(playerId, data.powerup);
                         if (!result.success && result.error) {
                             ws.send(JSON.stringify({ 
@@ -1193,24 +3791,27 @@ wss.on('connection', (ws) => {
 
     ws.on('close', () => {
         console.log(`Player disconnected: ${playerId}`);
+
+        if (spectatedRoom) {
+            spectatedRoom.spectatorFeed.removeSpectator(playerId);
+        }
+        matchmaker.remove(playerId);
         
         if (currentRoom) {
-            currentRoom.removePlayer(playerId);
-            
-            if (currentRoom.players.size === 0) {
-                gameRooms.delete(currentRoom.code);
-            } else if (currentRoom.gameState.started) {
-                // End game if player leaves during game
-                const remainingPlayer = currentRoom.players.keys().next().value;
-                if (remainingPlayer) {
-                    currentRoom.endGame(remainingPlayer);
-                }
-            } else {
-                currentRoom.broadcast({
-                    type: 'lobbyUpdate',
-                    players: currentRoom.players.size
-                });
+            const player = currentRoom.players.get(playerId);
+
+            // The seat has been resumed by a newer connection
+            if (player && player.ws !== ws) return;
+
+            // Hold the seat during a match so the player can resume
+            if (player && currentRoom.gameState.started) {
+                const room = currentRoom;
+                const droppedId = playerId;
+                room.handleDisconnect(droppedId, () => leaveRoom(room, droppedId));
+                return;
             }
+
+            leaveRoom(currentRoom, playerId);
         }
         
         playerRooms.delete(playerId);
@@ -1221,6 +3822,55 @@ wss.on('connection', (ws) => {
     });
 });
 
+// A full lobby starts on its own once every loadout is confirmed
+function startIfFull(room) {
+    if (room.players.size === room.settings.maxPlayers && room.canStart()) {
+        setTimeout(() => room.startGame(), 1000);
+    }
+}
+
+// Removes a player for good and updates whoever is left in the room
+function leaveRoom(room, playerId) {
+    const player = room.players.get(playerId);
+    if (player && player.sessionToken) {
+        sessions.delete(player.sessionToken);
+    }
+
+    room.removePlayer(playerId);
+    playerRooms.delete(playerId);
+
+    if (room.players.size === 0) {
+        clearTimeout(room.loadoutTimer);
+        room.loadoutTimer = null;
+        gameRooms.delete(room.code);
+    } else if (room.gameState.started) {
+        room.broadcast({
+            type: 'playerLeft',
+            playerId: playerId
+        });
+        // End game if only one side is left
+        room.checkForWinner();
+    } else {
+        // Hand the lobby to someone else if the host left
+        if (room.host === playerId) {
+            room.host = Array.from(room.players.values()).find(p => !p.isBot).id;
+        }
+        room.broadcast(room.getLobbyInfo());
+    }
+}
+
+// Session tokens let a dropped client reclaim its seat
+function createSession(playerId, roomCode) {
+    const token = uuidv4();
+    sessions.set(token, { playerId, roomCode });
+    return token;
+}
+
+// Guests pick any name, cut to the length account names may have
+function cleanPlayerName(name) {
+    return String(name || '').trim().slice(0, gameConfig.accounts.maxNameLength);
+}
+
 // Helper function to generate lobby codes
 function generateLobbyCode() {
     const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
@@ -1231,26 +3881,30 @@ function generateLobbyCode() {
     return code;
 }
 
-// Start server
-server.listen(PORT, () => {
-    console.log(`Shellshock Arena Server running on port ${PORT}`);
-    console.log(`WebSocket server ready for connections`);
-    console.log(`Arena size: ${gameConfig.arena.width}x${gameConfig.arena.height}`);
-});
+// Start server when run directly, benchmark.js and the tests load the rooms without listening
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Shellshock Arena Server running on port ${PORT}`);
+        console.log(`WebSocket server ready for connections`);
+        console.log(`Maps: ${Array.from(maps.values()).map(map => `${map.name} (${map.width}x${map.height})`).join(', ')}`);
+    });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+    // Graceful shutdown
+    process.on('SIGTERM', () => {
+        console.log('SIGTERM signal received: closing HTTP server');
+        server.close(() => {
+            console.log('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed');
-        process.exit(0);
+    process.on('SIGINT', () => {
+        console.log('SIGINT signal received: closing HTTP server');
+        server.close(() => {
+            console.log('HTTP server closed');
+            process.exit(0);
+        });
     });
-});
+}
+
+module.exports = { GameRoom, BotController, gameConfig, maps };
@@ -0,0 +1,1262 @@
+// Deterministic simulation core, shared by the server and the browser.
+// Everything a tick does to tanks, shells, covers and pickups lives here and
+// depends only on the state, the inputs, the fixed time step and a seeded
+// random generator, so the same inputs always give the same match. Functions
+// advance the state in place and report what happened as plain events;
+// messages, statistics and round flow are left to the caller.
+//
+// State (see createState):
+//   config        gameConfig on the server, the client config for prediction
+//   width, height arena size
+//   tick          advanced by step()
+//   covers        { id, x, y, width, height, material, health, maxHealth }
+//   tanks         Map of id -> { x, y, velocity, hullRotation, turretRotation, health,
+//                 maxHealth, shield, points, alive, team, speedFactor, zoneDamage,
+//                 reloadReadyTick, reloading, reloadProgress, nextShotType,
+//                 loadout, powerups }
+//   projectiles, pickups
+//   zone          closing safe zone { x, y, startRadius, startTick, shrinkTicks } or null
+//   settings      { mode, friendlyFire, maxRewindMs }
+//   positionHistory  recent tank positions for lag compensated shots
+//
+// Events:
+//   { type: 'shot', tankId, shotType, x, y, angle, targetX, targetY, projectile, impact }
+//   { type: 'powerupActivated', tankId, powerup, slot, shotType }
+//   { type: 'hit', targetId, attackerId, damage, dealt, health, attackerPoints, enemyHit }
+//   { type: 'eliminated', targetId, attackerId, enemyHit }
+//   { type: 'explosion', x, y, radius }
+//   { type: 'coverDamaged', id }
+//   { type: 'coverDestroyed', id, fragments }
+//   { type: 'pickupSpawned', pickup }
+//   { type: 'pickupCollected', id, collectorId, pickupType, amount }
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Simulation = factory();
+    }
+})(this, function () {
+    // mulberry32, returns floats in [0, 1) like Math.random
+    function createRng(seed) {
+        let value = seed >>> 0;
+        return function () {
+            value = (value + 0x6D2B79F5) >>> 0;
+            let t = value;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function msToTicks(ms, tickRate) {
+        return Math.ceil(ms / 1000 * tickRate);
+    }
+
+    function createState(options) {
+        return {
+            config: options.config,
+            width: options.width,
+            height: options.height,
+            tick: 0,
+            covers: options.covers || [],
+            coverGrid: null,
+            tanks: options.tanks || new Map(),
+            projectiles: [],
+            pickups: [],
+            zone: null,
+            settings: options.settings || { mode: 'ffa', friendlyFire: false },
+            positionHistory: [],
+            nextProjectileId: 1
+        };
+    }
+
+    // Geometry
+
+    function normalizeAngle(angle) {
+        while (angle > Math.PI) angle -= Math.PI * 2;
+        while (angle < -Math.PI) angle += Math.PI * 2;
+        return angle;
+    }
+
+    // Turns from one angle towards another the short way round, by at most maxStep
+    function turnTowards(angle, target, maxStep) {
+        const difference = normalizeAngle(target - angle);
+        if (Math.abs(difference) <= maxStep) return normalizeAngle(target);
+        return normalizeAngle(angle + Math.sign(difference) * maxStep);
+    }
+
+    function checkRectCollision(rect1, rect2) {
+        return rect1.x < rect2.x + rect2.width &&
+               rect1.x + rect1.width > rect2.x &&
+               rect1.y < rect2.y + rect2.height &&
+               rect1.y + rect1.height > rect2.y;
+    }
+
+    // Fraction along the segment where it first touches the rectangle,
+    // 0 when it starts inside and null when it misses
+    function getSegmentRectHit(x1, y1, x2, y2, rect) {
+        let entry = 0;
+        let exit = 1;
+        const axes = [
+            [x1, x2 - x1, rect.x, rect.x + rect.width],
+            [y1, y2 - y1, rect.y, rect.y + rect.height]
+        ];
+        for (let [start, delta, min, max] of axes) {
+            if (delta === 0) {
+                if (start < min || start > max) return null;
+                continue;
+            }
+            const near = ((delta > 0 ? min : max) - start) / delta;
+            const far = ((delta > 0 ? max : min) - start) / delta;
+            entry = Math.max(entry, near);
+            exit = Math.min(exit, far);
+            if (entry > exit) return null;
+        }
+        return entry;
+    }
+
+    // Same for a circle, solving |start + t * delta - center| = radius
+    function getSegmentCircleHit(x1, y1, x2, y2, cx, cy, radius) {
+        const fx = x1 - cx;
+        const fy = y1 - cy;
+        const c = fx * fx + fy * fy - radius * radius;
+        if (c <= 0) return 0;
+
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const a = dx * dx + dy * dy;
+        const b = 2 * (fx * dx + fy * dy);
+        const discriminant = b * b - 4 * a * c;
+        if (a === 0 || discriminant < 0) return null;
+
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return time >= 0 && time <= 1 ? time : null;
+    }
+
+    // Outward normal of the rectangle side a point lies on, both axes at a corner
+    function getRectNormal(x, y, rect) {
+        const distances = [
+            { distance: Math.abs(x - rect.x), x: -1, y: 0 },
+            { distance: Math.abs(x - rect.x - rect.width), x: 1, y: 0 },
+            { distance: Math.abs(y - rect.y), x: 0, y: -1 },
+            { distance: Math.abs(y - rect.y - rect.height), x: 0, y: 1 }
+        ];
+        const closest = Math.min(...distances.map(side => side.distance));
+        const normal = { x: 0, y: 0 };
+        for (let side of distances) {
+            if (side.distance - closest < 0.001) {
+                normal.x += side.x;
+                normal.y += side.y;
+            }
+        }
+        return normal;
+    }
+
+    // Uniform grid over the arena that buckets covers by the cells they touch,
+    // so collision and sight checks only test the covers next to them
+    class CoverGrid {
+        constructor(covers, width, height, cellSize) {
+            this.covers = covers;
+            this.cellSize = cellSize;
+            this.cols = Math.max(1, Math.ceil(width / cellSize));
+            this.rows = Math.max(1, Math.ceil(height / cellSize));
+            this.cells = Array.from({ length: this.cols * this.rows }, () => []);
+
+            for (let cover of covers) {
+                const maxCol = this.toCol(cover.x + cover.width);
+                const maxRow = this.toRow(cover.y + cover.height);
+                for (let row = this.toRow(cover.y); row <= maxRow; row++) {
+                    for (let col = this.toCol(cover.x); col <= maxCol; col++) {
+                        this.cells[row * this.cols + col].push(cover);
+                    }
+                }
+            }
+        }
+
+        toCol(x) {
+            return Math.min(this.cols - 1, Math.max(0, Math.floor(x / this.cellSize)));
+        }
+
+        toRow(y) {
+            return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+        }
+
+        queryPoint(x, y) {
+            return this.cells[this.toRow(y) * this.cols + this.toCol(x)];
+        }
+
+        // Every cover in the cells the rectangle touches, each listed once
+        queryRect(minX, minY, maxX, maxY) {
+            const minCol = this.toCol(minX);
+            const minRow = this.toRow(minY);
+            const maxCol = this.toCol(maxX);
+            const maxRow = this.toRow(maxY);
+            const result = [];
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let col = minCol; col <= maxCol; col++) {
+                    for (let cover of this.cells[row * this.cols + col]) {
+                        // A cover spanning several cells is taken from the first one visited
+                        if (col === Math.max(minCol, this.toCol(cover.x)) &&
+                            row === Math.max(minRow, this.toRow(cover.y))) {
+                            result.push(cover);
+                        }
+                    }
+                }
+            }
+            return result;
+        }
+    }
+
+    // Built on first use, replacing the cover list or breaking a cover rebuilds it
+    function getCoverGrid(state) {
+        if (!state.coverGrid || state.coverGrid.covers !== state.covers) {
+            state.coverGrid = new CoverGrid(state.covers, state.width, state.height, state.config.cover.gridCellSize);
+        }
+        return state.coverGrid;
+    }
+
+    function getCoversInRect(state, x, y, width, height) {
+        return getCoverGrid(state).queryRect(x, y, x + width, y + height);
+    }
+
+    // Tanks
+
+    function areTeammates(state, tank, other) {
+        return state.settings.mode === 'teams' && tank.team === other.team;
+    }
+
+    function canDamage(state, attackerId, targetId) {
+        const target = state.tanks.get(targetId);
+        if (!target || !target.alive) return false;
+        if (attackerId === targetId || state.settings.friendlyFire) return true;
+
+        const attacker = state.tanks.get(attackerId);
+        return !attacker || !areTeammates(state, attacker, target);
+    }
+
+    // Drives the tank from a { dx, dy } input, sliding along covers and the
+    // arena edge. Client prediction replays it for every unacknowledged input.
+    function moveTank(state, tank, input, deltaTime) {
+        const config = state.config.player;
+        const speedFactor = tank.speedFactor || 1;
+
+        // Apply acceleration
+        const acceleration = config.acceleration * speedFactor * deltaTime;
+        tank.velocity.x += input.dx * acceleration;
+        tank.velocity.y += input.dy * acceleration;
+
+        // Apply friction
+        tank.velocity.x *= config.friction;
+        tank.velocity.y *= config.friction;
+
+        // Limit to max speed
+        const maxSpeed = config.speed * speedFactor;
+        const speed = Math.sqrt(tank.velocity.x * tank.velocity.x + tank.velocity.y * tank.velocity.y);
+        if (speed > maxSpeed) {
+            tank.velocity.x = (tank.velocity.x / speed) * maxSpeed;
+            tank.velocity.y = (tank.velocity.y / speed) * maxSpeed;
+        }
+
+        const newX = tank.x + tank.velocity.x * deltaTime;
+        const newY = tank.y + tank.velocity.y * deltaTime;
+        const halfSize = config.size / 2;
+
+        const isBlocked = (x, y) => {
+            const rect = { x: x - halfSize, y: y - halfSize, width: config.size, height: config.size };
+            return getCoversInRect(state, rect.x, rect.y, rect.width, rect.height)
+                .some(cover => checkRectCollision(rect, cover));
+        };
+
+        // Check X movement
+        if (newX - halfSize >= 0 && newX + halfSize <= state.width && !isBlocked(newX, tank.y)) {
+            tank.x = newX;
+        } else {
+            tank.velocity.x = 0;
+        }
+
+        // Check Y movement separately for sliding collision
+        if (newY - halfSize >= 0 && newY + halfSize <= state.height && !isBlocked(tank.x, newY)) {
+            tank.y = newY;
+        } else {
+            tank.velocity.y = 0;
+        }
+    }
+
+    // The hull swings round to the driving direction at its own pace. Kept
+    // out of moveTank so replaying inputs after a correction does not turn twice.
+    function turnHull(state, tank, deltaTime) {
+        if (Math.abs(tank.velocity.x) > 1 || Math.abs(tank.velocity.y) > 1) {
+            tank.hullRotation = turnTowards(
+                tank.hullRotation,
+                Math.atan2(tank.velocity.y, tank.velocity.x),
+                state.config.player.hullTurnRate * deltaTime
+            );
+        }
+    }
+
+    // The turret traverses towards the aim point, the view cone turns with it
+    function aimTurret(state, tank, aimX, aimY, deltaTime) {
+        if (aimX === null || aimY === null) return;
+
+        tank.turretRotation = turnTowards(
+            tank.turretRotation,
+            Math.atan2(aimY - tank.y, aimX - tank.x),
+            state.config.player.turretTurnRate * deltaTime
+        );
+    }
+
+    // Shields soak up damage first, hits on enemies earn the attacker points
+    function damageTank(state, targetId, damage, attackerId, events) {
+        const tank = state.tanks.get(targetId);
+        const attacker = state.tanks.get(attackerId);
+        if (!tank || !canDamage(state, attackerId, targetId)) return;
+
+        let dealt = damage;
+        if (tank.shield > 0) {
+            const absorbed = Math.min(dealt, tank.shield);
+            tank.shield -= absorbed;
+            dealt -= absorbed;
+        }
+        tank.health = Math.max(0, tank.health - dealt);
+
+        const enemyHit = Boolean(attacker) && attackerId !== targetId && !areTeammates(state, attacker, tank);
+        if (enemyHit) {
+            attacker.points += dealt;
+        }
+
+        events.push({
+            type: 'hit',
+            targetId: targetId,
+            attackerId: attackerId,
+            damage: damage,
+            dealt: dealt,
+            health: tank.health,
+            attackerPoints: attacker ? attacker.points : 0,
+            enemyHit: enemyHit
+        });
+
+        if (tank.health <= 0) {
+            tank.alive = false;
+            tank.velocity = { x: 0, y: 0 };
+            events.push({ type: 'eliminated', targetId: targetId, attackerId: attackerId, enemyHit: enemyHit });
+        }
+    }
+
+    // Projectiles
+
+    function getProjectileDamage(config, type) {
+        switch(type) {
+            case 'laser': return config.powerups.laser.damage;
+            case 'explosive': return config.powerups.explosive.damage;
+            case 'ricochet': return config.powerups.ricochet.damage;
+            default: return config.projectile.damage;
+        }
+    }
+
+    function getProjectileSpeed(config, type) {
+        switch(type) {
+            case 'explosive': return config.powerups.explosive.speed;
+            case 'ricochet': return config.powerups.ricochet.speed;
+            default: return config.projectile.speed;
+        }
+    }
+
+    // A shell leaving the barrel tip along the turret. It is not added to the
+    // state, the caller may still catch it up to the present first.
+    function fireShell(state, tank, type) {
+        const config = state.config;
+        const angle = tank.turretRotation;
+        const speed = getProjectileSpeed(config, type);
+        return {
+            id: state.nextProjectileId++,
+            ownerId: tank.id,
+            x: tank.x + Math.cos(angle) * config.player.barrelLength,
+            y: tank.y + Math.sin(angle) * config.player.barrelLength,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            damage: getProjectileDamage(config, type),
+            type: type,
+            explodeTick: type === 'explosive' ?
+                state.tick + msToTicks(config.powerups.explosive.explosionDelay, config.simulation.tickRate) : null,
+            exploded: false,
+            bouncesLeft: type === 'ricochet' ? config.powerups.ricochet.bounces : 0,
+            bounced: false
+        };
+    }
+
+    // Exact raycast from the tank to the arena edge along the turret, tanks
+    // are tested at the given positions. Returns the impact point.
+    function fireLaser(state, tank, positions, events) {
+        const angle = tank.turretRotation;
+        const dirX = Math.cos(angle);
+        const dirY = Math.sin(angle);
+        const exitX = dirX > 0 ? (state.width - tank.x) / dirX : dirX < 0 ? -tank.x / dirX : Infinity;
+        const exitY = dirY > 0 ? (state.height - tank.y) / dirY : dirY < 0 ? -tank.y / dirY : Infinity;
+        const range = Math.min(exitX, exitY);
+        const endX = tank.x + dirX * range;
+        const endY = tank.y + dirY * range;
+
+        let hitTime = 1;
+        let hitCover = null;
+        let hitTankId = null;
+        const covers = getCoverGrid(state).queryRect(
+            Math.min(tank.x, endX), Math.min(tank.y, endY), Math.max(tank.x, endX), Math.max(tank.y, endY)
+        );
+        for (let cover of covers) {
+            const time = getSegmentRectHit(tank.x, tank.y, endX, endY, cover);
+            if (time !== null && time < hitTime) {
+                hitTime = time;
+                hitCover = cover;
+            }
+        }
+
+        for (let [id, target] of state.tanks) {
+            if (id === tank.id || !canDamage(state, tank.id, id)) continue;
+
+            const position = (positions && positions.get(id)) || target;
+            const time = getSegmentCircleHit(
+                tank.x, tank.y, endX, endY, position.x, position.y, state.config.player.size / 2
+            );
+            if (time !== null && time < hitTime) {
+                hitTime = time;
+                hitCover = null;
+                hitTankId = id;
+            }
+        }
+
+        const impact = {
+            x: tank.x + (endX - tank.x) * hitTime,
+            y: tank.y + (endY - tank.y) * hitTime
+        };
+        const damage = state.config.powerups.laser.damage;
+        if (hitCover) {
+            damageCover(state, hitCover, damage, 'laser', impact.x, impact.y, events);
+        } else if (hitTankId !== null) {
+            damageTank(state, hitTankId, damage, tank.id, events);
+        }
+        return impact;
+    }
+
+    // Moves a shell by one step and resolves what it hits. Tanks are tested
+    // at the given positions when catching up a lag compensated shot.
+    // Returns false once the shell is gone.
+    function updateProjectile(state, proj, deltaTime, positions, events) {
+        // Bouncing shells may reflect several times within one step
+        let remaining = deltaTime;
+        let bounced = false;
+        while (true) {
+            const hit = sweepProjectile(state, proj, remaining, positions);
+            if (!hit) break;
+
+            proj.x = hit.x;
+            proj.y = hit.y;
+
+            if (proj.bouncesLeft > 0 && hit.normal) {
+                bounceProjectile(state, proj, hit.normal);
+                remaining *= 1 - hit.time;
+                bounced = true;
+                continue;
+            }
+
+            if (proj.type === 'explosive') {
+                if (!proj.exploded) {
+                    proj.exploded = true;
+                    explode(state, proj.x, proj.y, proj.ownerId, events);
+                }
+            } else if (hit.cover) {
+                damageCover(state, hit.cover, proj.damage, proj.type, proj.x, proj.y, events);
+            } else if (hit.tankId !== null) {
+                damageTank(state, hit.tankId, proj.damage, proj.ownerId, events);
+            }
+            return false;
+        }
+
+        proj.x += proj.vx * remaining;
+        proj.y += proj.vy * remaining;
+
+        // Check boundaries
+        if (proj.x < 0 || proj.x > state.width ||
+            proj.y < 0 || proj.y > state.height) {
+            return false;
+        }
+
+        // Clients extrapolate from the origin, so a new course needs a new one
+        if (bounced && proj.origin) {
+            proj.origin = { x: proj.x, y: proj.y, tick: state.tick };
+        }
+
+        // Check explosive timer
+        if (proj.type === 'explosive' && !proj.exploded && state.tick >= proj.explodeTick) {
+            proj.exploded = true;
+            explode(state, proj.x, proj.y, proj.ownerId, events);
+            return false;
+        }
+
+        return true;
+    }
+
+    // Sweeps the next step so a shell cannot tunnel through a wall or tank on
+    // a slow tick. Returns the first hit with the surface normal for bounces,
+    // or null when the step is clear.
+    function sweepProjectile(state, proj, deltaTime, positions) {
+        const startX = proj.x;
+        const startY = proj.y;
+        const endX = startX + proj.vx * deltaTime;
+        const endY = startY + proj.vy * deltaTime;
+
+        let hitTime = Infinity;
+        let hitCover = null;
+        let hitTankId = null;
+        const covers = getCoverGrid(state).queryRect(
+            Math.min(startX, endX), Math.min(startY, endY), Math.max(startX, endX), Math.max(startY, endY)
+        );
+        for (let cover of covers) {
+            const time = getSegmentRectHit(startX, startY, endX, endY, cover);
+            if (time !== null && time < hitTime) {
+                hitTime = time;
+                hitCover = cover;
+            }
+        }
+
+        // The owner is only hit once its shell has bounced
+        const hitRadius = state.config.player.size / 2 + state.config.projectile.size;
+        for (let [id, tank] of state.tanks) {
+            if ((id === proj.ownerId && !proj.bounced) || !canDamage(state, proj.ownerId, id)) continue;
+
+            const position = (positions && positions.get(id)) || tank;
+            const time = getSegmentCircleHit(startX, startY, endX, endY, position.x, position.y, hitRadius);
+            if (time !== null && time < hitTime) {
+                hitTime = time;
+                hitCover = null;
+                hitTankId = id;
+            }
+        }
+
+        // Bouncing shells reflect off the arena walls instead of leaving
+        let wallNormal = null;
+        if (proj.bouncesLeft > 0) {
+            const walls = [
+                { edge: endX < 0 ? 0 : null, start: startX, end: endX, normal: { x: 1, y: 0 } },
+                { edge: endX > state.width ? state.width : null, start: startX, end: endX, normal: { x: -1, y: 0 } },
+                { edge: endY < 0 ? 0 : null, start: startY, end: endY, normal: { x: 0, y: 1 } },
+                { edge: endY > state.height ? state.height : null, start: startY, end: endY, normal: { x: 0, y: -1 } }
+            ];
+            for (let wall of walls) {
+                if (wall.edge === null) continue;
+                const time = (wall.edge - wall.start) / (wall.end - wall.start);
+                if (time >= 0 && time < hitTime) {
+                    hitTime = time;
+                    hitCover = null;
+                    hitTankId = null;
+                    wallNormal = wall.normal;
+                }
+            }
+        }
+
+        if (hitTime > 1) return null;
+
+        const x = startX + (endX - startX) * hitTime;
+        const y = startY + (endY - startY) * hitTime;
+        return {
+            time: hitTime,
+            x: x,
+            y: y,
+            cover: hitCover,
+            tankId: hitTankId,
+            normal: wallNormal || (hitCover ? getRectNormal(x, y, hitCover) : null)
+        };
+    }
+
+    function bounceProjectile(state, proj, normal) {
+        const speedFactor = state.config.powerups.ricochet.speedFactor;
+        if (normal.x !== 0) proj.vx = -proj.vx * speedFactor;
+        else proj.vx *= speedFactor;
+        if (normal.y !== 0) proj.vy = -proj.vy * speedFactor;
+        else proj.vy *= speedFactor;
+
+        // Step off the surface so the next sweep does not hit it again
+        proj.x += normal.x * 0.01;
+        proj.y += normal.y * 0.01;
+        proj.bouncesLeft--;
+        proj.bounced = true;
+    }
+
+    function explode(state, x, y, ownerId, events) {
+        const config = state.config.powerups.explosive;
+        const radius = config.radius;
+        events.push({ type: 'explosion', x: x, y: y, radius: radius });
+
+        // Damage tanks in radius
+        for (let [id, tank] of state.tanks) {
+            if (!canDamage(state, ownerId, id)) continue;
+
+            const distance = Math.sqrt(
+                Math.pow(tank.x - x, 2) +
+                Math.pow(tank.y - y, 2)
+            );
+            if (distance <= radius) {
+                const damage = Math.floor(config.damage * (1 - distance / radius));
+                if (damage > 0) {
+                    damageTank(state, id, damage, ownerId, events);
+                }
+            }
+        }
+
+        // Damage covers with the same falloff, measured to their nearest point.
+        // The query returns a fresh list, so fragments of covers broken here are spared.
+        for (let cover of getCoversInRect(state, x - radius, y - radius, radius * 2, radius * 2)) {
+            const closestX = Math.max(cover.x, Math.min(x, cover.x + cover.width));
+            const closestY = Math.max(cover.y, Math.min(y, cover.y + cover.height));
+            const distance = Math.sqrt(
+                Math.pow(x - closestX, 2) +
+                Math.pow(y - closestY, 2)
+            );
+
+            if (distance < radius) {
+                const damage = config.damage * (1 - distance / radius);
+                damageCover(state, cover, damage, 'explosive', closestX, closestY, events);
+            }
+        }
+    }
+
+    // Covers
+
+    function damageCover(state, cover, damage, type, hitX, hitY, events) {
+        const materials = state.config.cover.materials;
+        const material = materials[cover.material] || materials.concrete;
+        const multiplier = material.damage[type || 'normal'];
+        cover.health -= damage * (multiplier !== undefined ? multiplier : 1);
+
+        if (cover.health > 0) {
+            events.push({ type: 'coverDamaged', id: cover.id });
+            return;
+        }
+
+        const index = state.covers.indexOf(cover);
+        if (index === -1) return;
+
+        const fragments = splitCover(state, cover, hitX, hitY);
+        state.covers.splice(index, 1, ...fragments);
+        state.coverGrid = null;
+        events.push({ type: 'coverDestroyed', id: cover.id, fragments: fragments });
+    }
+
+    // Breaks a destroyed cover into halves or quarters and drops the piece
+    // that took the hit; covers too small to split crumble away entirely
+    function splitCover(state, cover, hitX, hitY) {
+        const minSize = state.config.cover.minFragmentSize;
+        const cols = cover.width >= minSize * 2 ? 2 : 1;
+        const rows = cover.height >= minSize * 2 ? 2 : 1;
+        if (cols * rows === 1) return [];
+
+        const width = cover.width / cols;
+        const height = cover.height / rows;
+        const pieces = [];
+        for (let col = 0; col < cols; col++) {
+            for (let row = 0; row < rows; row++) {
+                pieces.push({ x: cover.x + col * width, y: cover.y + row * height });
+            }
+        }
+
+        const distanceToHit = piece => Math.hypot(piece.x + width / 2 - hitX, piece.y + height / 2 - hitY);
+        const hitPiece = pieces.reduce((closest, piece) =>
+            distanceToHit(piece) < distanceToHit(closest) ? piece : closest
+        );
+
+        const health = Math.ceil(cover.maxHealth * state.config.cover.fragmentHealth);
+        return pieces.filter(piece => piece !== hitPiece).map((piece, i) => ({
+            id: `${cover.id}-${i + 1}`,
+            x: piece.x,
+            y: piece.y,
+            width: width,
+            height: height,
+            material: cover.material,
+            health: health,
+            maxHealth: health
+        }));
+    }
+
+    // Pickups
+
+    function createPickups(state, spawns) {
+        const config = state.config;
+        const firstTick = state.tick + msToTicks(config.pickups.firstSpawnMs, config.simulation.tickRate);
+        return spawns.map((spawn, index) => ({
+            id: index,
+            x: spawn.x,
+            y: spawn.y,
+            spawnType: spawn.type,
+            type: null,
+            active: false,
+            respawnTick: firstTick
+        }));
+    }
+
+    function pickPickupType(state, rng) {
+        const types = Object.entries(state.config.pickups.types);
+        let roll = rng() * types.reduce((sum, [, type]) => sum + type.weight, 0);
+        for (let [id, type] of types) {
+            roll -= type.weight;
+            if (roll < 0) return id;
+        }
+        return types[types.length - 1][0];
+    }
+
+    // Fills spots whose timer ran out and hands pickups to tanks driving over them
+    function updatePickups(state, rng, events) {
+        const config = state.config;
+        const reach = config.player.size / 2 + config.pickups.radius;
+        for (let pickup of state.pickups) {
+            if (!pickup.active) {
+                if (state.tick < pickup.respawnTick) continue;
+                pickup.type = pickup.spawnType || pickPickupType(state, rng);
+                pickup.active = true;
+                events.push({
+                    type: 'pickupSpawned',
+                    pickup: { id: pickup.id, type: pickup.type, x: pickup.x, y: pickup.y }
+                });
+            }
+
+            for (let [id, tank] of state.tanks) {
+                if (!tank.alive) continue;
+                if (Math.hypot(tank.x - pickup.x, tank.y - pickup.y) <= reach) {
+                    collectPickup(state, id, tank, pickup, events);
+                    break;
+                }
+            }
+        }
+    }
+
+    function collectPickup(state, tankId, tank, pickup, events) {
+        const config = state.config;
+        const amount = config.pickups.types[pickup.type].amount;
+        switch (pickup.type) {
+            case 'health':
+                tank.health = Math.min(tank.maxHealth, tank.health + amount);
+                break;
+            case 'shield': {
+                // Tops up the lasting part, a running shield powerup stays on top of it
+                const temporary = getPowerupShield(tank);
+                tank.shield = Math.max(tank.shield - temporary, amount) + temporary;
+                break;
+            }
+            case 'points':
+                tank.points += amount;
+                break;
+            case 'ammo': {
+                // Loads the cannon at once and gives back spent powerup uses, first slot first
+                tank.reloadReadyTick = state.tick;
+                let refunds = amount;
+                for (let id of tank.loadout || []) {
+                    const powerupState = tank.powerups && tank.powerups.get(id);
+                    if (!powerupState) continue;
+                    const refunded = Math.min(refunds, powerupState.uses);
+                    powerupState.uses -= refunded;
+                    refunds -= refunded;
+                }
+                break;
+            }
+        }
+
+        pickup.active = false;
+        pickup.respawnTick = state.tick + msToTicks(config.pickups.respawnMs, config.simulation.tickRate);
+        events.push({
+            type: 'pickupCollected',
+            id: pickup.id,
+            collectorId: tankId,
+            pickupType: pickup.type,
+            amount: amount
+        });
+    }
+
+    // Sudden death zone
+
+    function getZoneRadius(zone, tick) {
+        const progress = Math.min(1, (tick - zone.startTick) / zone.shrinkTicks);
+        return zone.startRadius * (1 - progress);
+    }
+
+    function applyZoneDamage(state, deltaTime, events) {
+        const zone = state.zone;
+        const radius = getZoneRadius(zone, state.tick);
+
+        for (let [id, tank] of state.tanks) {
+            if (!tank.alive) continue;
+
+            const distance = Math.sqrt(
+                Math.pow(tank.x - zone.x, 2) +
+                Math.pow(tank.y - zone.y, 2)
+            );
+            if (distance <= radius) continue;
+
+            // Accumulate so the damage stays in whole points
+            tank.zoneDamage += state.config.rounds.suddenDeath.zoneDamagePerSecond * deltaTime;
+            const damage = Math.floor(tank.zoneDamage);
+            if (damage > 0) {
+                tank.zoneDamage -= damage;
+                damageTank(state, id, damage, null, events);
+            }
+        }
+    }
+
+    // Visibility
+    // Fog of war for the server and for the replay viewer alike: a view cone
+    // cut by covers, and a proximity radius sensed without looking
+
+    // Center, corners and edge midpoints of a tank, in half tank sizes
+    const HULL_POINTS = [
+        [0, 0],
+        [-1, -1], [1, -1], [-1, 1], [1, 1],
+        [0, -1], [0, 1], [-1, 0], [1, 0]
+    ];
+
+    function getLineIntersection(x1, y1, x2, y2, x3, y3, x4, y4) {
+        const denom = (x1 - x2) * (y3 - y4) - (y1 - y2) * (x3 - x4);
+        if (Math.abs(denom) < 0.0001) return null;
+
+        const t = ((x1 - x3) * (y3 - y4) - (y1 - y3) * (x3 - x4)) / denom;
+        const u = -((x1 - x2) * (y1 - y3) - (y1 - y2) * (x1 - x3)) / denom;
+
+        if (t >= 0 && t <= 1 && u >= 0 && u <= 1) {
+            return {
+                x: x1 + t * (x2 - x1),
+                y: y1 + t * (y2 - y1)
+            };
+        }
+
+        return null;
+    }
+
+    function getRayRectIntersection(x1, y1, x2, y2, rect) {
+        const edges = [
+            { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y },
+            { x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height },
+            { x1: rect.x + rect.width, y1: rect.y + rect.height, x2: rect.x, y2: rect.y + rect.height },
+            { x1: rect.x, y1: rect.y + rect.height, x2: rect.x, y2: rect.y }
+        ];
+
+        let closestIntersection = null;
+        let minDistance = Infinity;
+
+        for (let edge of edges) {
+            const intersection = getLineIntersection(x1, y1, x2, y2, edge.x1, edge.y1, edge.x2, edge.y2);
+            if (intersection) {
+                const distance = Math.hypot(intersection.x - x1, intersection.y - y1);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    closestIntersection = intersection;
+                }
+            }
+        }
+
+        return closestIntersection;
+    }
+
+    function lineIntersectsRect(x1, y1, x2, y2, rect) {
+        const lines = [
+            { x1: rect.x, y1: rect.y, x2: rect.x + rect.width, y2: rect.y },
+            { x1: rect.x, y1: rect.y, x2: rect.x, y2: rect.y + rect.height },
+            { x1: rect.x + rect.width, y1: rect.y, x2: rect.x + rect.width, y2: rect.y + rect.height },
+            { x1: rect.x, y1: rect.y + rect.height, x2: rect.x + rect.width, y2: rect.y + rect.height }
+        ];
+        return lines.some(line => getLineIntersection(x1, y1, x2, y2, line.x1, line.y1, line.x2, line.y2) !== null);
+    }
+
+    function castViewRay(x, y, angle, viewDistance, covers) {
+        const endX = x + Math.cos(angle) * viewDistance;
+        const endY = y + Math.sin(angle) * viewDistance;
+        let closestDistance = viewDistance;
+        let hitPoint = { x: endX, y: endY };
+
+        for (let cover of covers) {
+            const intersection = getRayRectIntersection(x, y, endX, endY, cover);
+            if (intersection) {
+                const distance = Math.hypot(intersection.x - x, intersection.y - y);
+                if (distance < closestDistance) {
+                    closestDistance = distance;
+                    hitPoint = intersection;
+                }
+            }
+        }
+        return hitPoint;
+    }
+
+    // Visibility polygon of the view cone, built by an angular sweep: rays go
+    // along both cone edges, evenly around the arc and on and just past every
+    // nearby cover corner, so each shadow starts exactly at its corner
+    function calculateVisiblePoints(state, x, y, rotation) {
+        const config = state.config;
+        const viewDistance = config.player.viewDistance;
+        const halfAngle = config.player.viewAngle / 2;
+        const epsilon = config.visibility.cornerEpsilon;
+        const covers = getCoversInRect(state, x - viewDistance, y - viewDistance, viewDistance * 2, viewDistance * 2);
+
+        // Angles relative to the view direction
+        const angles = [];
+        const arcSegments = config.visibility.arcSegments;
+        for (let i = 0; i <= arcSegments; i++) {
+            angles.push(-halfAngle + halfAngle * 2 * i / arcSegments);
+        }
+        for (let cover of covers) {
+            const corners = [
+                [cover.x, cover.y], [cover.x + cover.width, cover.y],
+                [cover.x, cover.y + cover.height], [cover.x + cover.width, cover.y + cover.height]
+            ];
+            for (let [cornerX, cornerY] of corners) {
+                const angle = normalizeAngle(Math.atan2(cornerY - y, cornerX - x) - rotation);
+                for (let candidate of [angle - epsilon, angle, angle + epsilon]) {
+                    if (Math.abs(candidate) <= halfAngle) angles.push(candidate);
+                }
+            }
+        }
+        angles.sort((a, b) => a - b);
+
+        return angles.map(angle => castViewRay(x, y, rotation + angle, viewDistance, covers));
+    }
+
+    function hasLineOfSight(state, x1, y1, x2, y2) {
+        const covers = getCoverGrid(state).queryRect(
+            Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)
+        );
+        return !covers.some(cover => lineIntersectsRect(x1, y1, x2, y2, cover));
+    }
+
+    function isPointInVisibleArea(state, targetX, targetY, viewerX, viewerY, rotation) {
+        const config = state.config.player;
+        if (Math.hypot(targetX - viewerX, targetY - viewerY) > config.viewDistance) return false;
+
+        // Inside the view cone, the same one the fog is cut from
+        const difference = normalizeAngle(Math.atan2(targetY - viewerY, targetX - viewerX) - rotation);
+        if (Math.abs(difference) > config.viewAngle / 2) return false;
+
+        return hasLineOfSight(state, viewerX, viewerY, targetX, targetY);
+    }
+
+    // A tank is seen as soon as any part of its hull is in view, and sensed
+    // without looking when it comes within the proximity radius
+    function canSee(state, viewer, target) {
+        const config = state.config.player;
+        if (Math.hypot(target.x - viewer.x, target.y - viewer.y) <= config.proximityRadius) return true;
+
+        const halfSize = config.size / 2;
+        return HULL_POINTS.some(([offsetX, offsetY]) => isPointInVisibleArea(
+            state,
+            target.x + offsetX * halfSize,
+            target.y + offsetY * halfSize,
+            viewer.x, viewer.y,
+            viewer.turretRotation
+        ));
+    }
+
+    function canSeePoint(state, viewer, x, y) {
+        if (Math.hypot(x - viewer.x, y - viewer.y) <= state.config.player.proximityRadius) return true;
+        return isPointInVisibleArea(state, x, y, viewer.x, viewer.y, viewer.turretRotation);
+    }
+
+    // Lag compensation
+
+    // Tank positions at the end of each tick, kept for as many ticks as
+    // lagCompensation.historyTicks so shots can rewind to what the shooter saw
+    function recordPositions(state) {
+        const positions = new Map();
+        for (let [id, tank] of state.tanks) {
+            if (tank.alive) positions.set(id, { x: tank.x, y: tank.y });
+        }
+        const size = state.config.lagCompensation.historyTicks;
+        state.positionHistory[state.tick % size] = { tick: state.tick, positions };
+    }
+
+    function getRewoundPositions(state, tick) {
+        // Blend the two recorded ticks around a (possibly fractional) tick
+        const size = state.config.lagCompensation.historyTicks;
+        const getEntry = t => {
+            const entry = state.positionHistory[t % size];
+            return entry && entry.tick === t ? entry : null;
+        };
+        const before = getEntry(Math.floor(tick));
+        const after = getEntry(Math.ceil(tick)) || before;
+        if (!before) return null;
+
+        const t = tick - Math.floor(tick);
+        const positions = new Map();
+        for (let [id, a] of before.positions) {
+            const b = after.positions.get(id) || a;
+            positions.set(id, {
+                x: a.x + (b.x - a.x) * t,
+                y: a.y + (b.y - a.y) * t
+            });
+        }
+        return positions;
+    }
+
+    function getRewindTicks(state, viewTick) {
+        // How far the shooter's view lagged behind, capped by the room setting
+        if (!Number.isFinite(viewTick)) return 0;
+        const maxRewindTicks = (state.settings.maxRewindMs || 0) / 1000 * state.config.simulation.tickRate;
+        return Math.max(0, Math.min(maxRewindTicks, state.tick - viewTick, state.tick - 1));
+    }
+
+    // Weapons
+
+    function getReloadTicks(config) {
+        return msToTicks(config.player.reloadTime, config.simulation.tickRate);
+    }
+
+    function updateReload(state, tank) {
+        const remaining = (tank.reloadReadyTick || 0) - state.tick;
+        tank.reloading = remaining > 0;
+        tank.reloadProgress = tank.reloading ? 1 - remaining / getReloadTicks(state.config) : 1;
+    }
+
+    // Fires the loaded shot from a { viewTick, targetX, targetY } input and
+    // starts the reload. The shot resolves against the positions on the
+    // shooter's screen: a laser hits them at once, a shell is caught up to the
+    // present through the ticks it missed. targetX/Y only travel on to the event.
+    function fireWeapon(state, tank, fire, events) {
+        if (state.tick < (tank.reloadReadyTick || 0)) return;
+
+        const type = tank.nextShotType || null;
+        tank.nextShotType = null;
+        tank.reloadReadyTick = state.tick + getReloadTicks(state.config);
+        updateReload(state, tank);
+
+        const angle = tank.turretRotation;
+        const shot = {
+            type: 'shot',
+            tankId: tank.id,
+            shotType: type,
+            x: tank.x + Math.cos(angle) * state.config.player.barrelLength,
+            y: tank.y + Math.sin(angle) * state.config.player.barrelLength,
+            angle: angle,
+            targetX: fire.targetX,
+            targetY: fire.targetY,
+            projectile: null,
+            impact: null
+        };
+        // Ahead of the hits the shot causes
+        events.push(shot);
+
+        const rewindTicks = getRewindTicks(state, fire.viewTick);
+        const rewindTick = state.tick - rewindTicks;
+        const positions = rewindTicks > 0 ? getRewoundPositions(state, rewindTick) : null;
+
+        if (type === 'laser') {
+            shot.impact = fireLaser(state, tank, positions, events);
+            return;
+        }
+
+        const projectile = fireShell(state, tank, type);
+        shot.projectile = projectile;
+
+        const tickDuration = 1 / state.config.simulation.tickRate;
+        const catchUpTicks = Math.floor(rewindTicks);
+        if (projectile.explodeTick !== null) projectile.explodeTick -= catchUpTicks;
+        let alive = true;
+        for (let i = 1; i <= catchUpTicks && alive; i++) {
+            alive = updateProjectile(state, projectile, tickDuration, getRewoundPositions(state, rewindTick + i), events);
+        }
+
+        if (alive) {
+            projectile.origin = { x: projectile.x, y: projectile.y, tick: state.tick };
+            state.projectiles.push(projectile);
+        }
+    }
+
+    // Powerups
+    // Costs and limits come from config.powerups, the registry adds what a
+    // powerup does. Hooks get the state, the tank and the tank's state for
+    // it: activate runs when it is bought, tick on every simulated tick while
+    // it lasts (returning false ends it early) and expire once it is over.
+    // Timers count simulation ticks, so they stand still while no round is running.
+    const POWERUPS = {
+        laser: {
+            activate(state, tank) {
+                tank.nextShotType = 'laser';
+            }
+        },
+        explosive: {
+            activate(state, tank) {
+                tank.nextShotType = 'explosive';
+            }
+        },
+        shield: {
+            // absorption is what is left of the shield it granted, the part
+            // it takes back when it expires
+            activate(state, tank, powerupState) {
+                const absorption = state.config.powerups.shield.absorption;
+                tank.shield += absorption - getPowerupShield(tank);
+                powerupState.absorption = absorption;
+            },
+            tick(state, tank, powerupState) {
+                powerupState.absorption = getPowerupShield(tank);
+                return powerupState.absorption > 0;
+            },
+            expire(state, tank, powerupState) {
+                tank.shield -= Math.min(powerupState.absorption, tank.shield);
+                powerupState.absorption = 0;
+            }
+        },
+        ricochet: {
+            activate(state, tank) {
+                tank.nextShotType = 'ricochet';
+            }
+        }
+    };
+
+    // Shield left from a running shield powerup. Damage wears down the rest
+    // of the shield first, so the powerup only counts as used up at zero.
+    function getPowerupShield(tank) {
+        const powerupState = tank.powerups && tank.powerups.get('shield');
+        if (!powerupState || powerupState.activeUntil === null) return 0;
+        return Math.min(powerupState.absorption, tank.shield);
+    }
+
+    // Why the powerup in the (1-based) loadout slot cannot be bought, or null
+    function getPowerupError(state, tank, slot) {
+        if (!tank.alive) return 'Player eliminated';
+
+        const id = tank.loadout[slot - 1];
+        const powerupState = id && tank.powerups && tank.powerups.get(id);
+        if (!powerupState) return 'Unknown powerup';
+
+        const config = state.config.powerups[id];
+        if (powerupState.uses >= config.usesPerRound) return 'Powerup already used';
+        if (state.tick < powerupState.readyTick) return 'Powerup on cooldown';
+        if (tank.points < config.cost) return 'Not enough points';
+        return null;
+    }
+
+    function activatePowerup(state, tank, slot, events) {
+        if (getPowerupError(state, tank, slot)) return;
+
+        const id = tank.loadout[slot - 1];
+        const powerupState = tank.powerups.get(id);
+        const config = state.config.powerups[id];
+        const tickRate = state.config.simulation.tickRate;
+
+        // Deduct points and start the cooldown
+        tank.points -= config.cost;
+        powerupState.uses++;
+        powerupState.readyTick = state.tick + msToTicks(config.cooldownMs, tickRate);
+
+        POWERUPS[id].activate(state, tank, powerupState);
+        powerupState.activeUntil = config.duration ? state.tick + msToTicks(config.duration, tickRate) : null;
+
+        events.push({ type: 'powerupActivated', tankId: tank.id, powerup: id, slot: slot, shotType: tank.nextShotType });
+    }
+
+    // Runs the tick hooks of lasting powerups and expires those that are over
+    function updatePowerups(state, tank) {
+        if (!tank.powerups) return;
+
+        for (let [id, powerupState] of tank.powerups) {
+            if (powerupState.activeUntil === null) continue;
+
+            const powerup = POWERUPS[id];
+            const running = state.tick < powerupState.activeUntil &&
+                (!powerup.tick || powerup.tick(state, tank, powerupState) !== false);
+            if (!running) {
+                powerupState.activeUntil = null;
+                if (powerup.expire) powerup.expire(state, tank, powerupState);
+            }
+        }
+    }
+
+    // Advances the state by one fixed tick. inputs maps tank ids to
+    // { dx, dy, aimX, aimY, fire, powerup }; tanks without an input stand
+    // still. fire is a { viewTick, targetX, targetY } shot request and powerup
+    // a loadout slot to buy, both null when nothing was asked for this tick.
+    function step(state, inputs, deltaTime, rng) {
+        const events = [];
+
+        // Purchases and shots since the last tick see the state the player saw
+        for (let [id, tank] of state.tanks) {
+            const input = inputs.get(id);
+            if (!tank.alive || !input) continue;
+            if (input.powerup) activatePowerup(state, tank, input.powerup, events);
+            if (input.fire) fireWeapon(state, tank, input.fire, events);
+        }
+
+        state.tick++;
+
+        for (let [id, tank] of state.tanks) {
+            const input = inputs.get(id);
+            if (!tank.alive || !input) continue;
+            moveTank(state, tank, input, deltaTime);
+            turnHull(state, tank, deltaTime);
+            aimTurret(state, tank, input.aimX, input.aimY, deltaTime);
+        }
+
+        updatePickups(state, rng, events);
+
+        state.projectiles = state.projectiles.filter(proj =>
+            updateProjectile(state, proj, deltaTime, null, events)
+        );
+
+        if (state.zone) {
+            applyZoneDamage(state, deltaTime, events);
+        }
+
+        for (let tank of state.tanks.values()) {
+            updateReload(state, tank);
+            updatePowerups(state, tank);
+        }
+        recordPositions(state);
+
+        return { state, events };
+    }
+
+    return {
+        createRng,
+        msToTicks,
+        createState,
+        normalizeAngle,
+        turnTowards,
+        checkRectCollision,
+        getSegmentRectHit,
+        getSegmentCircleHit,
+        getRectNormal,
+        CoverGrid,
+        getCoverGrid,
+        getCoversInRect,
+        areTeammates,
+        canDamage,
+        moveTank,
+        turnHull,
+        aimTurret,
+        damageTank,
+        getProjectileDamage,
+        getProjectileSpeed,
+        fireShell,
+        fireLaser,
+        updateProjectile,
+        explode,
+        damageCover,
+        createPickups,
+        updatePickups,
+        getZoneRadius,
+        applyZoneDamage,
+        HULL_POINTS,
+        getLineIntersection,
+        getRayRectIntersection,
+        lineIntersectsRect,
+        castViewRay,
+        calculateVisiblePoints,
+        hasLineOfSight,
+        isPointInVisibleArea,
+        canSee,
+        canSeePoint,
+        recordPositions,
+        getRewoundPositions,
+        getRewindTicks,
+        getReloadTicks,
+        updateReload,
+        fireWeapon,
+        POWERUPS,
+        getPowerupError,
+        activatePowerup,
+        updatePowerups,
+        step
+    };
+});
@@ -0,0 +1,298 @@
+// The shared simulation on its own: driving, shells against covers and
+// tanks, explosions, shields, reloading and that a match re-runs exactly
+// from its seed and inputs.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Simulation = require('../simulation');
+const { gameConfig, maps } = require('../server');
+
+const TICK = 1 / gameConfig.simulation.tickRate;
+
+function createTank(id, x, y, options = {}) {
+    const loadout = options.loadout || gameConfig.loadout.powerups;
+    return {
+        id: id,
+        team: null,
+        x: x,
+        y: y,
+        velocity: { x: 0, y: 0 },
+        hullRotation: 0,
+        turretRotation: 0,
+        health: gameConfig.player.maxHealth,
+        maxHealth: gameConfig.player.maxHealth,
+        shield: 0,
+        points: 0,
+        alive: true,
+        speedFactor: 1,
+        zoneDamage: 0,
+        reloadReadyTick: 0,
+        reloading: false,
+        reloadProgress: 1,
+        nextShotType: null,
+        loadout: loadout.slice(),
+        powerups: new Map(loadout.map(powerup => [powerup, { uses: 0, readyTick: 0, activeUntil: null }])),
+        ...options.fields
+    };
+}
+
+function createWorld(tanks, covers = []) {
+    return Simulation.createState({
+        config: gameConfig,
+        width: 2000,
+        height: 2000,
+        covers: covers.map((cover, index) => ({ id: `cover${index}`, material: 'concrete', health: 100, maxHealth: 100, ...cover })),
+        tanks: new Map(tanks.map(tank => [tank.id, tank])),
+        settings: { mode: 'ffa', friendlyFire: false, maxRewindMs: 200 }
+    });
+}
+
+function createInput(fields = {}) {
+    return { dx: 0, dy: 0, aimX: null, aimY: null, fire: null, powerup: null, ...fields };
+}
+
+// Steps the world, each tick's inputs from a function of the tick number
+function run(world, ticks, getInputs, rng = Simulation.createRng(1)) {
+    const events = [];
+    for (let i = 0; i < ticks; i++) {
+        events.push(...Simulation.step(world, getInputs(i), TICK, rng).events);
+    }
+    return events;
+}
+
+test('a tank accelerates up to its top speed and stops at the arena edge', () => {
+    const tank = createTank('a', 1900, 1000);
+    const world = createWorld([tank]);
+    const inputs = new Map([['a', createInput({ dx: 1 })]]);
+
+    run(world, 10, () => inputs);
+    const speed = Math.hypot(tank.velocity.x, tank.velocity.y);
+    assert.ok(speed > 0 && speed <= gameConfig.player.speed);
+
+    run(world, 120, () => inputs);
+    assert.ok(tank.x + gameConfig.player.size / 2 <= world.width);
+    assert.ok(tank.x + gameConfig.player.size / 2 > world.width - 10);
+    assert.equal(tank.velocity.x, 0);
+});
+
+test('a tank driving diagonally into a wall slides along it', () => {
+    const tank = createTank('a', 500, 500);
+    const world = createWorld([tank], [{ x: 540, y: 0, width: 20, height: 2000 }]);
+    const inputs = new Map([['a', createInput({ dx: Math.SQRT1_2, dy: Math.SQRT1_2 })]]);
+
+    run(world, 60, () => inputs);
+    assert.ok(tank.x + gameConfig.player.size / 2 <= 540);
+    assert.ok(tank.x + gameConfig.player.size / 2 > 535);
+    assert.equal(tank.velocity.x, 0);
+    assert.ok(tank.y > 550);
+});
+
+test('a shell damages the first cover in its way and is gone', () => {
+    const shooter = createTank('a', 300, 300);
+    const target = createTank('b', 800, 300);
+    const world = createWorld([shooter, target], [{ x: 500, y: 250, width: 20, height: 100 }]);
+    const fire = createInput({ fire: { viewTick: 0 } });
+
+    const events = run(world, 60, tick => new Map([['a', tick === 0 ? fire : createInput()]]));
+    assert.equal(world.projectiles.length, 0);
+    assert.equal(world.covers[0].health, 100 - gameConfig.projectile.damage);
+    assert.equal(target.health, target.maxHealth);
+    assert.ok(events.some(event => event.type === 'coverDamaged' && event.id === 'cover0'));
+});
+
+test('a shell hitting an enemy costs it health and earns the shooter points', () => {
+    const shooter = createTank('a', 300, 300);
+    const target = createTank('b', 800, 300);
+    const world = createWorld([shooter, target]);
+
+    run(world, 60, tick => new Map([['a', createInput(tick === 0 ? { fire: { viewTick: 0 } } : {})]]));
+    assert.equal(target.health, target.maxHealth - gameConfig.projectile.damage);
+    assert.equal(shooter.points, gameConfig.projectile.damage);
+});
+
+test('an explosion falls off with distance and spares teammates', () => {
+    const config = gameConfig.powerups.explosive;
+    const owner = createTank('owner', 200, 200, { fields: { team: 0 } });
+    const center = createTank('center', 1000, 1000, { fields: { team: 1 } });
+    const half = createTank('half', 1000 + config.radius / 2, 1000, { fields: { team: 1 } });
+    const outside = createTank('outside', 1000 - config.radius - 1, 1000, { fields: { team: 1 } });
+    const teammate = createTank('teammate', 1000, 1010, { fields: { team: 0 } });
+    const world = createWorld([owner, center, half, outside, teammate]);
+    world.settings.mode = 'teams';
+
+    const events = [];
+    Simulation.explode(world, 1000, 1000, 'owner', events);
+    assert.equal(events[0].type, 'explosion');
+    assert.equal(center.health, center.maxHealth - config.damage);
+    assert.equal(half.health, half.maxHealth - Math.floor(config.damage / 2));
+    assert.equal(outside.health, outside.maxHealth);
+    assert.equal(teammate.health, teammate.maxHealth);
+});
+
+test('an explosion wears down covers in its radius', () => {
+    const world = createWorld([], [{ x: 1010, y: 990, width: 20, height: 20, material: 'metal', health: 200, maxHealth: 200 }]);
+
+    Simulation.explode(world, 1000, 1000, null, []);
+    const multiplier = gameConfig.cover.materials.metal.damage.explosive;
+    const falloff = 1 - 10 / gameConfig.powerups.explosive.radius;
+    assert.equal(world.covers[0].health, 200 - gameConfig.powerups.explosive.damage * falloff * multiplier);
+});
+
+test('a shield absorbs damage before health and ends once used up', () => {
+    const tank = createTank('a', 500, 500);
+    const world = createWorld([tank]);
+    tank.points = gameConfig.powerups.shield.cost;
+    const slot = tank.loadout.indexOf('shield') + 1;
+
+    const events = run(world, 1, () => new Map([['a', createInput({ powerup: slot })]]));
+    assert.ok(events.some(event => event.type === 'powerupActivated' && event.powerup === 'shield'));
+    assert.equal(tank.shield, gameConfig.powerups.shield.absorption);
+    assert.equal(tank.points, 0);
+
+    Simulation.damageTank(world, 'a', 15, null, []);
+    assert.equal(tank.shield, gameConfig.powerups.shield.absorption - 15);
+    assert.equal(tank.health, tank.maxHealth);
+
+    Simulation.damageTank(world, 'a', 15, null, []);
+    assert.equal(tank.shield, 0);
+    assert.equal(tank.health, tank.maxHealth - (30 - gameConfig.powerups.shield.absorption));
+
+    run(world, 1, () => new Map());
+    assert.equal(tank.powerups.get('shield').activeUntil, null);
+});
+
+test('a shield runs out after its duration', () => {
+    const tank = createTank('a', 500, 500, { fields: { points: gameConfig.powerups.shield.cost } });
+    const world = createWorld([tank]);
+    const slot = tank.loadout.indexOf('shield') + 1;
+    const durationTicks = Simulation.msToTicks(gameConfig.powerups.shield.duration, gameConfig.simulation.tickRate);
+
+    run(world, 1, () => new Map([['a', createInput({ powerup: slot })]]));
+    const activeUntil = tank.powerups.get('shield').activeUntil;
+    assert.equal(activeUntil, durationTicks);
+
+    run(world, activeUntil - world.tick - 1, () => new Map());
+    assert.equal(tank.shield, gameConfig.powerups.shield.absorption);
+    run(world, 1, () => new Map());
+    assert.equal(tank.shield, 0);
+});
+
+test('a shield pickup collected during the powerup outlasts it', () => {
+    const tank = createTank('a', 500, 500, { fields: { points: gameConfig.powerups.shield.cost } });
+    const world = createWorld([tank]);
+    const slot = tank.loadout.indexOf('shield') + 1;
+    const amount = gameConfig.pickups.types.shield.amount;
+
+    run(world, 1, () => new Map([['a', createInput({ powerup: slot })]]));
+    world.pickups = [{ id: 0, x: 500, y: 500, spawnType: 'shield', type: 'shield', active: true, respawnTick: 0 }];
+    run(world, 1, () => new Map());
+    assert.equal(tank.shield, gameConfig.powerups.shield.absorption + amount);
+
+    // Damage wears down the pickup's part first
+    Simulation.damageTank(world, 'a', 5, null, []);
+    run(world, tank.powerups.get('shield').activeUntil - world.tick, () => new Map());
+    assert.equal(tank.powerups.get('shield').activeUntil, null);
+    assert.equal(tank.shield, amount - 5);
+});
+
+test('reloading counts ticks and holds back shots until it is done', () => {
+    const tank = createTank('a', 300, 300);
+    const world = createWorld([tank]);
+    const reloadTicks = Simulation.getReloadTicks(gameConfig);
+    const fire = new Map([['a', createInput({ fire: { viewTick: 0 } })]]);
+
+    let shots = run(world, 1, () => fire).filter(event => event.type === 'shot');
+    assert.equal(shots.length, 1);
+    assert.equal(tank.reloading, true);
+    assert.ok(Math.abs(tank.reloadProgress - 1 / reloadTicks) < 1e-9);
+
+    shots = run(world, reloadTicks - 1, () => fire).filter(event => event.type === 'shot');
+    assert.equal(shots.length, 0);
+    assert.equal(tank.reloading, false);
+    assert.equal(tank.reloadProgress, 1);
+
+    shots = run(world, 1, () => fire).filter(event => event.type === 'shot');
+    assert.equal(shots.length, 1);
+});
+
+test('an ammo crate finishes the reload and gives a spent powerup use back', () => {
+    const tank = createTank('a', 500, 500, { fields: { points: gameConfig.powerups.laser.cost } });
+    const world = createWorld([tank]);
+    const slot = tank.loadout.indexOf('laser') + 1;
+
+    run(world, 1, () => new Map([['a', createInput({ powerup: slot, fire: { viewTick: 0 } })]]));
+    assert.equal(tank.reloading, true);
+    assert.equal(tank.powerups.get('laser').uses, 1);
+
+    world.pickups = [{ id: 0, x: 500, y: 500, spawnType: 'ammo', type: 'ammo', active: true, respawnTick: 0 }];
+    run(world, 1, () => new Map());
+    assert.equal(tank.reloading, false);
+    assert.equal(tank.powerups.get('laser').uses, 0);
+});
+
+test('a powerup bought in the same tick loads the shot fired with it', () => {
+    const shooter = createTank('a', 300, 300, { fields: { points: gameConfig.powerups.laser.cost } });
+    const target = createTank('b', 800, 300);
+    const world = createWorld([shooter, target]);
+    const slot = shooter.loadout.indexOf('laser') + 1;
+
+    const events = run(world, 1, () => new Map([['a', createInput({ powerup: slot, fire: { viewTick: 0 } })]]));
+    const shot = events.find(event => event.type === 'shot');
+    assert.equal(shot.shotType, 'laser');
+    assert.equal(shot.impact.x, target.x - gameConfig.player.size / 2);
+    assert.equal(target.health, target.maxHealth - gameConfig.powerups.laser.damage);
+    assert.equal(shooter.nextShotType, null);
+});
+
+test('a lagging shot is resolved against where the target was on screen', () => {
+    const shooter = createTank('a', 300, 300);
+    const target = createTank('b', 800, 300);
+    const world = createWorld([shooter, target]);
+    shooter.nextShotType = 'laser';
+
+    // The target has left the line of fire, the shooter still sees it there
+    run(world, 10, () => new Map());
+    const viewTick = world.tick;
+    target.y = 400;
+    run(world, 5, () => new Map());
+    assert.deepEqual(Simulation.getRewoundPositions(world, viewTick).get('b'), { x: 800, y: 300 });
+
+    run(world, 1, () => new Map([['a', createInput({ fire: { viewTick: viewTick } })]]));
+    assert.equal(target.health, target.maxHealth - gameConfig.powerups.laser.damage);
+
+    // Without rewinding it is a miss
+    shooter.nextShotType = 'laser';
+    shooter.reloadReadyTick = 0;
+    run(world, 1, () => new Map([['a', createInput({ fire: { viewTick: world.tick } })]]));
+    assert.equal(target.health, target.maxHealth - gameConfig.powerups.laser.damage);
+});
+
+test('the same seed and inputs replay the same match', () => {
+    const map = maps.get('classic');
+
+    function playMatch(seed) {
+        const tanks = map.spawnPoints.slice(0, 4).map((spawn, index) =>
+            createTank(`t${index}`, spawn.x, spawn.y, { fields: { points: 100 } })
+        );
+        const world = createWorld(tanks);
+        world.covers = map.covers.map(cover => ({ ...cover }));
+        world.pickups = Simulation.createPickups(world, map.pickupSpawns);
+
+        // Inputs as a recording would hold them, from a fixed sequence
+        let value = 7;
+        const next = () => (value = (value * 1103515245 + 12345) % 2147483648) / 2147483648;
+        const events = run(world, 1200, tick => new Map(tanks.map(tank => [tank.id, createInput({
+            dx: next() * 2 - 1,
+            dy: next() * 2 - 1,
+            aimX: next() * map.width,
+            aimY: next() * map.height,
+            fire: tick % 20 === 0 ? { viewTick: tick - 3 } : null,
+            powerup: tick % 300 === 0 ? 1 + Math.floor(next() * 3) : null
+        })])), Simulation.createRng(seed));
+
+        return JSON.stringify({ tanks: tanks.map(tank => ({ ...tank, powerups: Array.from(tank.powerups) })), world: { ...world, tanks: null, config: null, coverGrid: null }, events });
+    }
+
+    const first = playMatch(42);
+    assert.equal(playMatch(42), first);
+    assert.notEqual(playMatch(43), first);
+});
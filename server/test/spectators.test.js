@@ -0,0 +1,68 @@
+// The delayed spectator feed keeps a bounded history: frames past the limit
+// are folded into a keyframe that still rebuilds the arena for newcomers.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameRoom, gameConfig, maps } = require('../server');
+
+function frame(tick, events) {
+    return events ? [tick, tick * 16, [], [], events] : [tick, tick * 16, [], []];
+}
+
+test('the history stays bounded and its first frame restores the arena', (t) => {
+    const historyFrames = gameConfig.spectators.historyFrames;
+    gameConfig.spectators.historyFrames = 5;
+    t.after(() => { gameConfig.spectators.historyFrames = historyFrames; });
+
+    const feed = new GameRoom('TEST', 'host', { map: maps.get('classic') }).spectatorFeed;
+    const covers = [
+        { id: 'a', x: 0, y: 0, width: 50, height: 50, health: 100 },
+        { id: 'b', x: 100, y: 0, width: 50, height: 50, health: 100 }
+    ];
+    const pickup = { id: 'p1', x: 10, y: 10, type: 'health' };
+    const frames = [
+        frame(1, [{ type: 'roundStart', round: 2, covers: covers }, { type: 'pickupSpawned', pickup: pickup }]),
+        frame(2, [{ type: 'coversChanged', fragments: [{ id: 'b1', x: 100, y: 0, width: 25, height: 50, health: 50 }], destroyed: ['b'], damaged: [{ id: 'a', health: 40 }] }]),
+        frame(3, [{ type: 'pickupSpawned', pickup: { id: 'p2', x: 20, y: 20, type: 'ammo' } }, { type: 'pickupCollected', id: 'p1' }]),
+        frame(4, [{ type: 'suddenDeath', suddenDeath: { x: 0, y: 0, startRadius: 500 } }])
+    ];
+    for (let i = 5; i <= 50; i++) frames.push(frame(i));
+
+    for (let item of frames) feed.queue.push({ releaseAt: 0, frame: item });
+    feed.release(0);
+
+    assert.equal(feed.history.length, 5);
+    const history = feed.getHistory();
+    assert.equal(history.length, 5);
+    assert.equal(history[0][0], 46);
+    assert.deepEqual(history[0][4], [
+        {
+            type: 'roundStart',
+            round: 2,
+            covers: [
+                { id: 'a', x: 0, y: 0, width: 50, height: 50, health: 40 },
+                { id: 'b1', x: 100, y: 0, width: 25, height: 50, health: 50 }
+            ]
+        },
+        { type: 'pickupSpawned', pickup: { id: 'p2', x: 20, y: 20, type: 'ammo' } },
+        { type: 'suddenDeath', suddenDeath: { x: 0, y: 0, startRadius: 500 } }
+    ]);
+    assert.equal(history[1], feed.history[1]);
+});
+
+test('a new round drops the keyframe with the old history', (t) => {
+    const historyFrames = gameConfig.spectators.historyFrames;
+    gameConfig.spectators.historyFrames = 3;
+    t.after(() => { gameConfig.spectators.historyFrames = historyFrames; });
+
+    const feed = new GameRoom('TEST', 'host', { map: maps.get('classic') }).spectatorFeed;
+    const roundStart = round => ({ type: 'roundStart', round: round, covers: [] });
+    const frames = [frame(1, [roundStart(1)])];
+    for (let i = 2; i <= 10; i++) frames.push(frame(i));
+    frames.push(frame(11, [roundStart(2)]), frame(12));
+
+    for (let item of frames) feed.queue.push({ releaseAt: 0, frame: item });
+    feed.release(0);
+
+    assert.equal(feed.keyframe, null);
+    assert.deepEqual(feed.getHistory().map(item => item[0]), [11, 12]);
+});
@@ -0,0 +1,107 @@
+// Fog of war around cover corners: what canSee reports has to match the
+// visibility polygon the client cuts the fog from.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameRoom, gameConfig, maps } = require('../server');
+
+const VIEWER = { x: 500, y: 500, turretRotation: 0 };
+
+function createRoom(covers) {
+    const room = new GameRoom('TEST', 'viewer', { map: maps.get('classic') });
+    room.gameState.covers = covers.map((cover, index) => ({ id: `cover${index}`, health: 100, maxHealth: 100, ...cover }));
+    return room;
+}
+
+function isPointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+test('a target exactly on the cone edge is visible, just past it is not', () => {
+    const room = createRoom([]);
+    const halfAngle = gameConfig.player.viewAngle / 2;
+    const at = angle => [VIEWER.x + Math.cos(angle) * 200, VIEWER.y + Math.sin(angle) * 200];
+
+    assert.equal(room.isPointInVisibleArea(...at(halfAngle), VIEWER.x, VIEWER.y, 0), true);
+    assert.equal(room.isPointInVisibleArea(...at(-halfAngle), VIEWER.x, VIEWER.y, 0), true);
+    assert.equal(room.isPointInVisibleArea(...at(halfAngle + 0.01), VIEWER.x, VIEWER.y, 0), false);
+    assert.equal(room.isPointInVisibleArea(...at(-halfAngle - 0.01), VIEWER.x, VIEWER.y, 0), false);
+});
+
+test('a target at the edge of the view distance is visible, beyond it is not', () => {
+    const room = createRoom([]);
+    const viewDistance = gameConfig.player.viewDistance;
+
+    assert.equal(room.isPointInVisibleArea(VIEWER.x + viewDistance, VIEWER.y, VIEWER.x, VIEWER.y, 0), true);
+    assert.equal(room.isPointInVisibleArea(VIEWER.x + viewDistance + 1, VIEWER.y, VIEWER.x, VIEWER.y, 0), false);
+});
+
+test('a hull corner peeking past a cover corner reveals the tank', () => {
+    // The cover ends at y 490, the line to the tank center crosses it
+    const room = createRoom([{ x: 650, y: 440, width: 40, height: 50 }]);
+    const target = { x: 800, y: 470 };
+
+    assert.equal(room.isPointInVisibleArea(target.x, target.y, VIEWER.x, VIEWER.y, 0), false);
+    assert.equal(room.canSee(VIEWER, target), true);
+});
+
+test('a tank fully behind the cover stays hidden', () => {
+    const room = createRoom([{ x: 650, y: 400, width: 40, height: 90 }]);
+
+    assert.equal(room.canSee(VIEWER, { x: 800, y: 440 }), false);
+});
+
+test('the proximity radius senses a tank behind a wall and behind the viewer', () => {
+    const room = createRoom([{ x: 465, y: 400, width: 10, height: 200 }]);
+    const radius = gameConfig.player.proximityRadius;
+
+    assert.equal(room.canSee(VIEWER, { x: VIEWER.x - radius, y: VIEWER.y }), true);
+    assert.equal(room.canSee(VIEWER, { x: VIEWER.x - radius - 1, y: VIEWER.y }), false);
+    assert.equal(room.canSeePoint(VIEWER, VIEWER.x - radius, VIEWER.y), true);
+});
+
+test('the fog polygon agrees with line of sight around cover corners', () => {
+    const covers = [
+        { x: 600, y: 400, width: 50, height: 80 },
+        { x: 700, y: 520, width: 30, height: 30 },
+        { x: 640, y: 580, width: 120, height: 20 }
+    ];
+    const room = createRoom(covers);
+    const polygon = [{ x: VIEWER.x, y: VIEWER.y }].concat(room.calculateVisiblePoints(VIEWER.x, VIEWER.y, 0));
+
+    let checked = 0;
+    for (let cover of covers) {
+        const corners = [
+            [cover.x, cover.y], [cover.x + cover.width, cover.y],
+            [cover.x, cover.y + cover.height], [cover.x + cover.width, cover.y + cover.height]
+        ];
+        for (let [cornerX, cornerY] of corners) {
+            // Points on both sides of the shadow line that starts at the corner
+            const distance = Math.hypot(cornerX - VIEWER.x, cornerY - VIEWER.y);
+            const directionX = (cornerX - VIEWER.x) / distance;
+            const directionY = (cornerY - VIEWER.y) / distance;
+            for (let factor of [1.1, 1.4]) {
+                for (let side of [-3, 3]) {
+                    const x = VIEWER.x + directionX * distance * factor - directionY * side;
+                    const y = VIEWER.y + directionY * distance * factor + directionX * side;
+                    if (Math.hypot(x - VIEWER.x, y - VIEWER.y) > gameConfig.player.viewDistance - 5) continue;
+
+                    assert.equal(
+                        isPointInPolygon(x, y, polygon),
+                        room.isPointInVisibleArea(x, y, VIEWER.x, VIEWER.y, 0),
+                        `disagreement at ${x.toFixed(1)}, ${y.toFixed(1)}`
+                    );
+                    checked++;
+                }
+            }
+        }
+    }
+    assert.ok(checked > 20);
+});